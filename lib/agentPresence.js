@@ -0,0 +1,227 @@
+// Agent presence - available, in-call, wrap-up, break or offline per agent email. Calls move
+// agents in and out of in-call and wrap-up on their own; agents choose between available and
+// break. Every change is appended to a JSONL log, which gives per-agent history and occupancy.
+const { parseBound, readJsonl, createRotatingFile } = require('./jsonlLog');
+
+const STATES = ['available', 'in-call', 'wrap-up', 'break', 'offline'];
+const PREFERENCES = ['available', 'break'];
+
+// `onChange(agent)` is called after every state change
+function createAgentPresence({ wrapUpMs = 60000, offlineGraceMs = 15000, logFile, logMaxFileBytes, logMaxFiles, readOnly = false, onChange = () => {} }) {
+  const agents = new Map(); // email -> { email, state, since, preference, sockets, timer, wrapUpEndsAt }
+  const logs = logFile ? createRotatingFile({ filePath: logFile, maxBytes: logMaxFileBytes, maxFiles: logMaxFiles }) : null;
+
+  function agentFor(email) {
+    if (!agents.has(email)) {
+      agents.set(email, {
+        email,
+        state: 'offline',
+        since: Date.now(),
+        preference: 'available',
+        sockets: new Set(),
+        timer: null,
+        wrapUpEndsAt: null
+      });
+    }
+    return agents.get(email);
+  }
+
+  function log(entry) {
+    if (readOnly || !logs) return;
+    try {
+      logs.append(entry);
+    } catch (error) {
+      console.error('🟢 Error writing presence log:', error);
+    }
+  }
+
+  function setState(agent, state, reason, wrapUpEndsAt = null) {
+    clearTimeout(agent.timer);
+    agent.timer = null;
+    agent.wrapUpEndsAt = wrapUpEndsAt;
+    if (agent.state === state) return;
+    agent.state = state;
+    agent.since = Date.now();
+    log({ at: new Date(agent.since).toISOString(), email: agent.email, state, reason });
+    onChange(toJSON(agent));
+  }
+
+  function toJSON(agent) {
+    return {
+      email: agent.email,
+      state: agent.state,
+      since: new Date(agent.since).toISOString(),
+      preference: agent.preference,
+      wrapUpEndsAt: agent.wrapUpEndsAt ? new Date(agent.wrapUpEndsAt).toISOString() : null
+    };
+  }
+
+  function get(email) {
+    return agents.has(email) ? toJSON(agents.get(email)) : null;
+  }
+
+  // A new connection brings an offline agent back in their chosen state; calls and wrap-up carry on
+  function connect(email, socketId) {
+    const agent = agentFor(email);
+    agent.sockets.add(socketId);
+    if (agent.state === 'offline') {
+      setState(agent, agent.preference, 'connected');
+    } else if (agent.timer && agent.state !== 'wrap-up') {
+      clearTimeout(agent.timer);
+      agent.timer = null;
+    }
+    return toJSON(agent);
+  }
+
+  // Offline once the last connection has been gone for the grace period (page reloads keep the state).
+  // An agent still in a call has their seat held by the room, which ends the call if they do not
+  // come back - going offline sooner would make them available again on reconnecting, mid-call.
+  function disconnect(email, socketId) {
+    const agent = agents.get(email);
+    if (!agent) return;
+    agent.sockets.delete(socketId);
+    if (agent.sockets.size > 0) return;
+    if (agent.state === 'wrap-up') return; // the wrap-up timer checks for connections when it ends
+    if (agent.state === 'in-call') return;
+    clearTimeout(agent.timer);
+    agent.timer = setTimeout(() => {
+      if (agent.sockets.size === 0) setState(agent, 'offline', 'disconnected');
+    }, offlineGraceMs);
+    agent.timer.unref?.();
+  }
+
+  // The agent's own choice. It applies straight away unless they are in a call or wrapping up;
+  // `endWrapUp` lets "available" cut wrap-up short.
+  function setPreference(email, preference, { endWrapUp = false } = {}) {
+    if (!PREFERENCES.includes(preference)) return null;
+    const agent = agentFor(email);
+    agent.preference = preference;
+    if (agent.state === 'available' || agent.state === 'break' || (agent.state === 'wrap-up' && endWrapUp)) {
+      setState(agent, preference, 'agent');
+    }
+    return toJSON(agent);
+  }
+
+  function startCall(email) {
+    setState(agentFor(email), 'in-call', 'call-started');
+  }
+
+  function endCall(email) {
+    const agent = agentFor(email);
+    if (agent.state !== 'in-call') return;
+    if (wrapUpMs <= 0) {
+      setState(agent, agent.sockets.size > 0 ? agent.preference : 'offline', 'call-ended');
+      return;
+    }
+    setState(agent, 'wrap-up', 'call-ended', Date.now() + wrapUpMs);
+    agent.timer = setTimeout(() => {
+      setState(agent, agent.sockets.size > 0 ? agent.preference : 'offline', 'wrap-up-ended');
+    }, wrapUpMs);
+    agent.timer.unref?.();
+  }
+
+  // On shutdown, so history does not stretch the last state over the downtime
+  function stop() {
+    agents.forEach(agent => setState(agent, 'offline', 'server-stopped'));
+  }
+
+  function list() {
+    return Array.from(agents.values()).map(toJSON).sort((a, b) => a.email.localeCompare(b.email));
+  }
+
+  function count(state) {
+    return Array.from(agents.values()).filter(agent => agent.state === state).length;
+  }
+
+  // Per agent, the logged changes that shape [start, end]: the last one before `start` (the state
+  // the range opens in), those within it and the first one after `end` (where the last period stops).
+  // The log is streamed, so only these are held.
+  async function changesBetween(start, end, only = null) {
+    const changes = new Map(); // email -> { entries, closed }
+    for (const file of logs ? logs.files() : []) {
+      for await (const entry of readJsonl(file)) {
+        if (only && entry.email !== only) continue;
+        if (!changes.has(entry.email)) changes.set(entry.email, { entries: [], closed: false });
+        const agent = changes.get(entry.email);
+        const at = Date.parse(entry.at);
+        if (at < start) {
+          agent.entries = [entry];
+        } else if (!agent.closed) {
+          agent.entries.push(entry);
+          agent.closed = at > end;
+        }
+      }
+    }
+    return new Map(Array.from(changes, ([email, agent]) => [email, agent.entries]));
+  }
+
+  // Default: the last 24 hours
+  function rangeOf({ from, to } = {}) {
+    const end = parseBound(to, true) ?? Date.now();
+    return { start: parseBound(from, false) ?? end - 24 * 60 * 60 * 1000, end };
+  }
+
+  function summarize(email, start, end, changes) {
+    const periods = [];
+
+    changes.forEach((entry, index) => {
+      const next = changes[index + 1];
+      const periodStart = Date.parse(entry.at);
+      const periodEnd = next ? Date.parse(next.at) : (agents.get(email)?.state === entry.state ? Date.now() : periodStart);
+      const clippedStart = Math.max(periodStart, start);
+      const clippedEnd = Math.min(periodEnd, end);
+      if (clippedEnd <= clippedStart) return;
+      periods.push({
+        state: entry.state,
+        from: new Date(clippedStart).toISOString(),
+        to: new Date(clippedEnd).toISOString(),
+        durationSeconds: Math.round((clippedEnd - clippedStart) / 1000),
+        reason: entry.reason
+      });
+    });
+
+    const totals = Object.fromEntries(STATES.map(state => [state, 0]));
+    periods.forEach(period => { totals[period.state] += period.durationSeconds; });
+    const handling = totals['in-call'] + totals['wrap-up'];
+    const occupancy = handling + totals.available > 0 ? Math.round(handling / (handling + totals.available) * 1000) / 1000 : null;
+    const calls = periods.filter(period => period.state === 'in-call' && period.reason === 'call-started').length;
+
+    return {
+      email,
+      from: new Date(start).toISOString(),
+      to: new Date(end).toISOString(),
+      current: get(email),
+      totals,
+      occupancy,
+      calls,
+      periods
+    };
+  }
+
+  // State periods between `from` and `to` (default: the last 24 hours), with seconds per state.
+  // Occupancy is time handling calls (in-call + wrap-up) over that plus time available.
+  async function history(email, range = {}) {
+    const { start, end } = rangeOf(range);
+    const changes = await changesBetween(start, end, email);
+    return summarize(email, start, end, changes.get(email) || []);
+  }
+
+  // Occupancy for every agent seen in the log or online now
+  async function occupancy(range = {}) {
+    const { start, end } = rangeOf(range);
+    const changes = await changesBetween(start, end);
+    const emails = new Set([...changes.keys(), ...agents.keys()]);
+    return Array.from(emails).sort().map(email => {
+      const { periods, ...summary } = summarize(email, start, end, changes.get(email) || []);
+      return summary;
+    });
+  }
+
+  function status() {
+    return Object.fromEntries(STATES.map(state => [state, count(state)]));
+  }
+
+  return { connect, disconnect, setPreference, startCall, endCall, stop, get, list, count, history, occupancy, status };
+}
+
+module.exports = { createAgentPresence, STATES };
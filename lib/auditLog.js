@@ -0,0 +1,50 @@
+// Security audit log - one JSON line per event (denied requests and call monitoring), kept apart from
+// the translation logs so it can be retained and shipped on its own. Rotated by size.
+const { parseBound, createRotatingFile, pageNewestFirst } = require('./jsonlLog');
+
+// A query stops once this many events matched, newest first
+const MAX_QUERY_MATCHES = 10000;
+
+function createAuditLog({ filePath, maxFileBytes, maxFiles, readOnly = false }) {
+  const file = createRotatingFile({ filePath, maxBytes: maxFileBytes, maxFiles });
+  let written = 0;
+
+  function record(event) {
+    const entry = { timestamp: new Date().toISOString(), ...event };
+    if (readOnly) return entry;
+    try {
+      file.append(entry);
+      written++;
+    } catch (error) {
+      console.error('🛡️ Error writing audit log:', error);
+    }
+    return entry;
+  }
+
+  // Newest first. Filters: from, to (date or ISO timestamp), user, role, outcome, permission
+  function query({ from, to, user, role, outcome, permission, page = 1, pageSize = 50 } = {}) {
+    const fromTime = parseBound(from, false);
+    const toTime = parseBound(to, true);
+    const matches = entry => {
+      const time = Date.parse(entry.timestamp);
+      if (fromTime !== null && time < fromTime) return false;
+      if (toTime !== null && time > toTime) return false;
+      if (user && entry.user !== String(user).toLowerCase()) return false;
+      if (role && entry.role !== role) return false;
+      if (outcome && entry.outcome !== outcome) return false;
+      if (permission && entry.permission !== permission) return false;
+      return true;
+    };
+
+    const size = Math.min(Math.max(parseInt(pageSize) || 50, 1), 500);
+    return pageNewestFirst(file.files(), matches, { page, pageSize: size, maxMatches: MAX_QUERY_MATCHES });
+  }
+
+  function status() {
+    return { file: filePath, writtenSinceStart: written };
+  }
+
+  return { record, query, status };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,282 @@
+// Server-side authentication - local accounts (scrypt-hashed, kept in a JSON file) and
+// Microsoft Entra ID sign-in, both ending in a signed session token. The token travels in
+// an HttpOnly cookie, so pages and Socket.IO connections carry it without any script access;
+// API clients can send it as a Bearer token instead.
+const fs = require('fs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+const ROLES = ['employee', 'agent', 'supervisor', 'admin'];
+const SESSION_COOKIE = 'linguera_session';
+const JWKS_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Which roles may do what. Routes name a permission rather than a list of roles.
+const PERMISSIONS = {
+  'dictionary:read': ['employee', 'agent', 'supervisor', 'admin'],
+  'dictionary:edit': ['agent', 'supervisor', 'admin'],      // add, update and import entries
+  'dictionary:delete': ['supervisor', 'admin'],             // remove single entries
+  'dictionary:clear': ['admin'],                            // wipe a dictionary, create or delete glossaries
+  'transcripts:read': ['agent', 'supervisor', 'admin'],
+  'logs:read': ['supervisor', 'admin'],
+  'feedback:submit': ['employee', 'agent', 'supervisor', 'admin'],
+  'status:read': ['supervisor', 'admin'],
+  'quality:evaluate': ['supervisor', 'admin'],              // batch BLEU/chrF/TER evaluation
+  'presence:read': ['supervisor', 'admin'],                 // agent states, history and occupancy
+  'calls:monitor': ['supervisor', 'admin'],                 // live console: listen in, whisper, barge in
+  'audit:read': ['admin']
+};
+
+function can(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+function permissionsFor(role) {
+  return Object.keys(PERMISSIONS).filter(permission => can(role, permission));
+}
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// At least 1 upper, 1 lower, 1 number, 1 special, min 9 chars - same rule as the sign-up form
+function isStrongPassword(password) {
+  return typeof password === 'string' &&
+    /[A-Z]/.test(password) &&
+    /[a-z]/.test(password) &&
+    /\d/.test(password) &&
+    /[^A-Za-z0-9]/.test(password) &&
+    password.length > 8;
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return `${salt}:${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+}
+
+function checkPassword(password, stored) {
+  const [salt, hash] = String(stored || '').split(':');
+  if (!salt || !hash) return false;
+  const candidate = crypto.scryptSync(password, salt, 64);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+// Cookies that do not decode are skipped - they come from the client and must not break sign-in
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(part => {
+    const [name, ...value] = part.trim().split('=');
+    if (!name || value.length === 0) return;
+    try {
+      cookies[name] = decodeURIComponent(value.join('='));
+    } catch (error) {
+      // malformed percent-encoding
+    }
+  });
+  return cookies;
+}
+
+// Session token from "Authorization: Bearer ..." or the session cookie
+function tokenFromHeaders(headers = {}) {
+  const authorization = headers.authorization || '';
+  if (/^Bearer\s+/i.test(authorization)) return authorization.replace(/^Bearer\s+/i, '').trim();
+  return parseCookies(headers.cookie)[SESSION_COOKIE] || null;
+}
+
+// `roleDomains` maps email domains to roles, e.g. { "employee.com": "employee", "agent.com": "agent" };
+// local sign-up is limited to those domains. `userRoles` gives single accounts another role,
+// e.g. { "lead@agent.com": "supervisor" }. `msal` holds the Entra ID tenant and app (client) IDs.
+// `onDenied(event)` is told about every request turned away by requirePermission.
+function createAuth({
+  secret,
+  sessionHours = 12,
+  usersFile,
+  roleDomains = {},
+  userRoles = {},
+  msal = {},
+  secureCookies = false,
+  readOnly = false,
+  onDenied = () => {}
+}) {
+  let users = {};
+  let jwks = { keys: [], fetchedAt: 0 };
+
+  function load() {
+    try {
+      users = fs.existsSync(usersFile) ? JSON.parse(fs.readFileSync(usersFile, 'utf8')) : {};
+      console.log(`🔐 Loaded ${Object.keys(users).length} local accounts`);
+    } catch (error) {
+      console.error('🔐 Error loading accounts:', error);
+      users = {};
+    }
+  }
+
+  function save() {
+    if (readOnly) return;
+    try {
+      fs.writeFileSync(usersFile, JSON.stringify(users, null, 2), { encoding: 'utf8', mode: 0o600 });
+    } catch (error) {
+      console.error('🔐 Error saving accounts:', error);
+    }
+  }
+
+  function roleForEmail(email) {
+    const domain = String(email).split('@')[1]?.toLowerCase();
+    return roleDomains[domain] || null;
+  }
+
+  function publicUser({ email, name, role, provider }) {
+    return { email, name: name || email.split('@')[0], role: userRoles[email] || role, provider };
+  }
+
+  function register({ email, password, name } = {}) {
+    email = String(email || '').trim().toLowerCase();
+    const role = roleForEmail(email);
+    if (!/^[^@\s]+@[^@\s]+$/.test(email) || !role) {
+      throw new AuthError(`Sign-up is limited to ${Object.keys(roleDomains).map(d => `@${d}`).join(', ')} addresses`, 400);
+    }
+    if (!isStrongPassword(password)) {
+      throw new AuthError('Password must be >8 chars, include upper, lower, number, and special symbol.', 400);
+    }
+    if (users[email]) throw new AuthError('User already exists. Please log in.', 409);
+
+    users[email] = {
+      name: String(name || email.split('@')[0]).trim(),
+      role,
+      passwordHash: hashPassword(password),
+      createdAt: new Date().toISOString()
+    };
+    save();
+    console.log(`🔐 Registered ${role} account ${email}`);
+    return publicUser({ email, ...users[email], provider: 'local' });
+  }
+
+  function login({ email, password } = {}) {
+    email = String(email || '').trim().toLowerCase();
+    const user = users[email];
+    if (!user) throw new AuthError('User not found. Please sign up first.');
+    if (typeof password !== 'string' || !checkPassword(password, user.passwordHash)) {
+      throw new AuthError('Incorrect password.');
+    }
+    return publicUser({ email, ...user, provider: 'local' });
+  }
+
+  async function signingKey(kid) {
+    if (Date.now() - jwks.fetchedAt > JWKS_TTL_MS || !jwks.keys.some(key => key.kid === kid)) {
+      const response = await fetch(`https://login.microsoftonline.com/${msal.tenantId}/discovery/v2.0/keys`, {
+        signal: AbortSignal.timeout(10000)
+      });
+      if (!response.ok) throw new AuthError(`Could not fetch Microsoft signing keys: ${response.statusText}`, 502);
+      jwks = { keys: (await response.json()).keys || [], fetchedAt: Date.now() };
+    }
+    const jwk = jwks.keys.find(key => key.kid === kid);
+    if (!jwk) throw new AuthError('Unknown Microsoft signing key');
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  // Verifies an ID token from MSAL sign-in. Accounts listed in userRoles keep that role; then
+  // Entra ID app roles named after Linguera roles win, then the email domain, then msal.defaultRole.
+  async function loginWithMicrosoft(idToken) {
+    if (!msal.tenantId || !msal.clientId) throw new AuthError('Microsoft sign-in is not configured', 503);
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded?.header?.kid) throw new AuthError('Invalid Microsoft ID token');
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, await signingKey(decoded.header.kid), {
+        algorithms: ['RS256'],
+        audience: msal.clientId,
+        issuer: `https://login.microsoftonline.com/${msal.tenantId}/v2.0`
+      });
+    } catch (error) {
+      if (error instanceof AuthError) throw error;
+      throw new AuthError(`Invalid Microsoft ID token: ${error.message}`);
+    }
+
+    const email = String(claims.email || claims.preferred_username || claims.upn || '').toLowerCase();
+    if (!email) throw new AuthError('Microsoft account has no email address');
+    const appRole = (claims.roles || []).map(role => String(role).toLowerCase()).find(role => ROLES.includes(role));
+    const role = appRole || roleForEmail(email) || msal.defaultRole || 'employee';
+    return publicUser({ email, name: claims.name, role, provider: 'microsoft' });
+  }
+
+  function issueToken(user) {
+    return jwt.sign({ name: user.name, role: user.role, provider: user.provider }, secret, {
+      subject: user.email,
+      expiresIn: `${sessionHours}h`
+    });
+  }
+
+  function verifyToken(token) {
+    if (!token) return null;
+    try {
+      const claims = jwt.verify(token, secret, { algorithms: ['HS256'] });
+      return publicUser({ email: claims.sub, name: claims.name, role: claims.role, provider: claims.provider });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function setSessionCookie(res, token) {
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: secureCookies,
+      maxAge: sessionHours * 60 * 60 * 1000
+    });
+  }
+
+  function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'lax', secure: secureCookies });
+  }
+
+  // Express middleware - sets req.user for a valid session; requests without one go on as anonymous
+  function authenticate(req, res, next) {
+    req.user = verifyToken(tokenFromHeaders(req.headers));
+    next();
+  }
+
+  function requireUser(req, res, next) {
+    if (!req.user) return res.status(401).json({ error: 'Sign in required' });
+    next();
+  }
+
+  // 401 without a session, 403 when the user's role lacks the permission
+  function requirePermission(permission) {
+    return (req, res, next) => {
+      if (req.user && can(req.user.role, permission)) return next();
+      onDenied({
+        outcome: req.user ? 'forbidden' : 'unauthenticated',
+        permission,
+        user: req.user?.email || null,
+        role: req.user?.role || 'guest',
+        method: req.method,
+        path: req.originalUrl,
+        ip: req.ip
+      });
+      if (!req.user) return res.status(401).json({ error: 'Sign in required' });
+      res.status(403).json({ error: `Your role (${req.user.role}) is not allowed to do this`, permission });
+    };
+  }
+
+  // Socket.IO middleware - the session decides who the socket is, never the client's own claims.
+  // Sockets without a session connect as guests.
+  function socketMiddleware(socket, next) {
+    const token = socket.handshake.auth?.token || tokenFromHeaders(socket.handshake.headers);
+    const user = verifyToken(token);
+    socket.data.email = user?.email || null;
+    socket.data.name = user?.name || null;
+    socket.data.role = user?.role || 'guest';
+    next();
+  }
+
+  return {
+    load, register, login, loginWithMicrosoft, issueToken, verifyToken,
+    setSessionCookie, clearSessionCookie, authenticate, requireUser, requirePermission, socketMiddleware
+  };
+}
+
+module.exports = { createAuth, AuthError, ROLES, PERMISSIONS, SESSION_COOKIE, can, permissionsFor };
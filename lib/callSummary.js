@@ -0,0 +1,203 @@
+// End-of-call summary - runs locally without a language model: the English side of each
+// utterance (the original or its translation) is scored extractively, the issue category
+// comes from keyword rules, and key entities are the glossary terms and identifiers mentioned.
+const { tokenize } = require('./translation/metrics');
+const { translationsOf } = require('./transcripts');
+
+// The category whose keywords are mentioned most wins, ties going to the first listed (phrases count double)
+const CATEGORIES = [
+  { id: 'password-reset', label: 'Password reset', keywords: ['password', 'reset password', 'forgot password', 'locked out', 'account locked', 'unlock', 'credentials', 'expired', 'login', 'log in', 'sign in', 'mfa', 'otp', 'authenticator'] },
+  { id: 'vpn', label: 'VPN', keywords: ['vpn', 'globalprotect', 'anyconnect', 'forticlient', 'remote access', 'tunnel', 'token'] },
+  { id: 'hardware', label: 'Hardware', keywords: ['laptop', 'desktop', 'keyboard', 'mouse', 'monitor', 'screen', 'battery', 'charger', 'hard disk', 'docking', 'dock', 'webcam', 'headset', 'hardware', 'broken', 'not turning on'] },
+  { id: 'printer', label: 'Printer', keywords: ['printer', 'print', 'printing', 'spooler', 'scanner', 'toner', 'paper jam', 'cartridge'] },
+  { id: 'email', label: 'Email and calendar', keywords: ['outlook', 'email', 'mail', 'mailbox', 'inbox', 'calendar', 'meeting invite'] },
+  { id: 'network', label: 'Network', keywords: ['wifi', 'wi-fi', 'internet', 'network', 'ethernet', 'lan', 'connectivity', 'dns', 'disconnected'] },
+  { id: 'software', label: 'Software', keywords: ['install', 'installation', 'software', 'license', 'licence', 'update', 'upgrade', 'application', 'crash', 'crashing', 'teams', 'excel', 'browser'] },
+  { id: 'access', label: 'Access request', keywords: ['access', 'permission', 'permissions', 'shared drive', 'shared folder', 'sharepoint', 'approval', 'role'] }
+];
+
+const STOPWORDS = new Set(('a an the and or but if then so to of in on at by for with from as is are was were be been being ' +
+  'i me my we our you your he she it its they them their this that these those there here what which who whom how why when ' +
+  'do does did done have has had can could will would shall should may might must not no yes ok okay hello hi please thank thanks ' +
+  'just also very really am let sir madam').split(' '));
+
+// Words every support call uses - never reported as key details even when a glossary defines them
+const CALL_WORDS = new Set(['help', 'welcome', 'thank', 'thanks', 'hello', 'message', 'request', 'issue', 'problem', 'call',
+  'employee', 'agent', 'system', 'today', 'time', 'date', 'check', 'leave', 'log', 'name', 'number', 'work', 'working']);
+
+const ACTION_CUES = /\b(i will|i'll|we will|we'll|let me|i am going to|i'm going to|please|you (?:need|have|should) to|try|make sure|restart|reboot|reinstall|raise|log a ticket|escalate|follow up|call (?:you )?back)\b/i;
+
+const ENTITY_PATTERNS = [
+  { type: 'ticket', pattern: /\b(?:INC|REQ|RITM|CHG|TASK|SR)\d{4,}\b/gi },
+  { type: 'email', pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  { type: 'ip', pattern: /\b(?:\d{1,3}\.){3}\d{1,3}\b/g },
+  { type: 'error-code', pattern: /\berror(?: code)?[\s:#]*((?:0x)?[A-Z0-9-]*\d[A-Z0-9-]*)\b/gi, group: 1 }
+];
+
+const MAX_SUMMARY_SENTENCES = 3;
+const MAX_ENTITIES = 10;
+const MAX_ACTION_ITEMS = 5;
+
+const ROLE_LABELS = { agent: 'Agent', employee: 'Employee', supervisor: 'Supervisor', guest: 'Participant' };
+
+function isEnglish(language) {
+  return String(language || '').toLowerCase().startsWith('en');
+}
+
+// Untagged (legacy) utterances count as English when most of their letters are Latin
+function looksEnglish(text) {
+  const letters = String(text || '').match(/\p{L}/gu) || [];
+  const latin = letters.filter(ch => /\p{Script=Latin}/u.test(ch)).length;
+  return letters.length > 0 && latin / letters.length > 0.8;
+}
+
+// The English side of an utterance
+function englishText(utterance) {
+  if (isEnglish(utterance.language)) return utterance.original;
+  if (!utterance.language && looksEnglish(utterance.original)) return utterance.original;
+  const translation = translationsOf(utterance).find(t => isEnglish(t.language));
+  return translation ? translation.text : null;
+}
+
+// Speech recognition rarely punctuates, so an unpunctuated utterance is one sentence
+function sentences(utterance) {
+  const text = englishText(utterance);
+  if (!text) return [];
+  return text.split(/(?<=[.!?])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => tokenize(sentence).length >= 3)
+    .map(text => ({ text, role: utterance.role || 'guest', utteranceId: utterance.id }));
+}
+
+function containsPhrase(lowerText, phrase) {
+  if (!lowerText.includes(phrase)) return false;
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(lowerText);
+}
+
+function detectCategory(englishLines, lowerText) {
+  const lowerLines = englishLines.map(line => line.toLowerCase());
+  let best = null;
+  CATEGORIES.forEach(category => {
+    const matched = category.keywords.filter(keyword => containsPhrase(lowerText, keyword));
+    const score = matched.reduce((sum, keyword) =>
+      sum + lowerLines.filter(line => containsPhrase(line, keyword)).length * (keyword.includes(' ') ? 2 : 1), 0);
+    if (score > 0 && (!best || score > best.score)) best = { id: category.id, label: category.label, score, keywords: matched };
+  });
+  return best || { id: 'other', label: 'Other', score: 0, keywords: [] };
+}
+
+// Identifiers such as ticket numbers, then the glossary terms mentioned in the call -
+// the category's own keywords first, then the most frequent
+function extractEntities(englishLines, lowerText, entries, category) {
+  const terms = new Map();
+  entries.forEach(entry => {
+    const term = entry.en?.trim().toLowerCase();
+    if (!term || term.length < 3 || STOPWORDS.has(term) || CALL_WORDS.has(term)) return;
+    if (terms.has(term) || !containsPhrase(lowerText, term)) return;
+    const count = englishLines.filter(line => containsPhrase(line.toLowerCase(), term)).length;
+    terms.set(term, { type: 'term', value: entry.en.trim(), count });
+  });
+
+  const identifiers = new Map();
+  ENTITY_PATTERNS.forEach(({ type, pattern, group = 0 }) => {
+    englishLines.forEach(line => {
+      for (const match of line.matchAll(pattern)) {
+        const value = match[group];
+        if (value && !identifiers.has(`${type}|${value.toLowerCase()}`)) identifiers.set(`${type}|${value.toLowerCase()}`, { type, value });
+      }
+    });
+  });
+
+  const isKeyword = term => (category.keywords.includes(term.value.toLowerCase()) ? 1 : 0);
+  const glossaryTerms = Array.from(terms.values())
+    .sort((a, b) => isKeyword(b) - isKeyword(a) || b.count - a.count || a.value.localeCompare(b.value))
+    .map(({ type, value }) => ({ type, value }));
+  return [...identifiers.values(), ...glossaryTerms].slice(0, MAX_ENTITIES);
+}
+
+// Sentences scored by how many of the call's frequent content words and category keywords they hold
+function selectSentences(candidates, category) {
+  const frequency = new Map();
+  candidates.forEach(({ text }) => {
+    new Set(tokenize(text.toLowerCase()).filter(word => !STOPWORDS.has(word))).forEach(word => {
+      frequency.set(word, (frequency.get(word) || 0) + 1);
+    });
+  });
+
+  const scored = candidates.map((candidate, index) => {
+    const words = tokenize(candidate.text.toLowerCase()).filter(word => !STOPWORDS.has(word) && /\p{L}/u.test(word));
+    if (words.length === 0) return { ...candidate, index, score: 0 };
+    const lower = candidate.text.toLowerCase();
+    const keywordHits = category.keywords.filter(keyword => containsPhrase(lower, keyword)).length;
+    const score = words.reduce((sum, word) => sum + (frequency.get(word) || 0), 0) / Math.sqrt(words.length) + 2 * keywordHits;
+    return { ...candidate, index, score };
+  });
+
+  return scored
+    .filter(s => s.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SUMMARY_SENTENCES)
+    .sort((a, b) => a.index - b.index);
+}
+
+function extractActionItems(candidates) {
+  const seen = new Set();
+  return candidates
+    .filter(({ text }) => ACTION_CUES.test(text))
+    // The agent's commitments first, then what the employee was asked to do
+    .sort((a, b) => (a.role === 'agent' ? 0 : 1) - (b.role === 'agent' ? 0 : 1))
+    .filter(({ text }) => {
+      const key = text.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_ACTION_ITEMS)
+    .map(({ text, role }) => ({ text, role }));
+}
+
+// Plain-text notes for pasting into a ticket
+function ticketNotes(record, summary) {
+  const people = record.participants
+    .filter(p => p.email)
+    .map(p => `${ROLE_LABELS[p.role] || p.role}: ${p.email}${p.language ? ` (${p.language})` : ''}`);
+  return [
+    `Category: ${summary.category.label}`,
+    `Call: room ${record.roomId}, ${record.startedAt}${summary.durationSeconds !== null ? `, ${Math.round(summary.durationSeconds / 60)} min` : ''}`,
+    ...(people.length ? [`Participants: ${people.join('; ')}`] : []),
+    '',
+    'Summary:',
+    summary.summary || '(nothing to summarize)',
+    ...(summary.entities.length ? ['', `Key details: ${summary.entities.map(e => e.value).join(', ')}`] : []),
+    ...(summary.actionItems.length ? ['', 'Action items:', ...summary.actionItems.map(item => `- ${item.text}`)] : [])
+  ].join('\n');
+}
+
+// `entries` are the glossary entries in effect for the call (room glossaries plus the dictionary)
+function summarizeCall(record, { entries = [] } = {}) {
+  const candidates = record.utterances.flatMap(sentences);
+  const englishLines = record.utterances.map(englishText).filter(Boolean);
+  const lowerText = englishLines.join('\n').toLowerCase();
+
+  const category = detectCategory(englishLines, lowerText);
+  const selected = selectSentences(candidates, category);
+  const endTime = Date.parse(record.endedAt || record.utterances[record.utterances.length - 1]?.timestamp);
+  const startTime = Date.parse(record.startedAt);
+
+  const summary = {
+    generatedAt: new Date().toISOString(),
+    method: 'extractive',
+    language: 'en',
+    category,
+    summary: selected.map(s => `${ROLE_LABELS[s.role] || s.role}: ${s.text}`).join(' '),
+    entities: extractEntities(englishLines, lowerText, entries, category),
+    actionItems: extractActionItems(candidates),
+    utteranceCount: record.utterances.length,
+    durationSeconds: isNaN(endTime) || isNaN(startTime) ? null : Math.max(Math.round((endTime - startTime) / 1000), 0)
+  };
+  summary.ticketNotes = ticketNotes(record, summary);
+  return summary;
+}
+
+module.exports = { summarizeCall, CATEGORIES };
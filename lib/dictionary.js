@@ -0,0 +1,277 @@
+// Enterprise dictionary store - glossary entries with stable IDs, audit fields and search
+const fs = require('fs');
+const crypto = require('crypto');
+
+const META_FIELDS = ['id', 'createdAt', 'updatedAt', 'createdBy', 'updatedBy'];
+
+class DictionaryConflictError extends Error {
+  constructor(entry) {
+    super('Entry was modified by someone else');
+    this.name = 'DictionaryConflictError';
+    this.entry = entry;
+  }
+}
+
+// Language renderings of an entry, without the audit fields
+function termsOf(entry) {
+  const terms = {};
+  for (const [key, value] of Object.entries(entry)) {
+    if (!META_FIELDS.includes(key) && typeof value === 'string') terms[key] = value;
+  }
+  return terms;
+}
+
+// Alternative source spellings per language, e.g. { hi: ['कम्प्यूटर'] }, folded onto the
+// entry's own rendering before translation
+function variantsOf(entry) {
+  const variants = {};
+  for (const [lang, values] of Object.entries(entry?.variants || {})) {
+    const list = (Array.isArray(values) ? values : [values]).map(value => String(value).trim()).filter(Boolean);
+    if (list.length) variants[lang] = [...new Set(list)];
+  }
+  return variants;
+}
+
+function withVariants(variants) {
+  return Object.keys(variants).length ? { variants } : {};
+}
+
+// Protected entries (product names, codes) are kept out of the translation model's reach;
+// the flag is only written when set
+function withProtection(value) {
+  return value === true || value === 'true' ? { protected: true } : {};
+}
+
+// UUID-shaped ID taken from the English term, so entries written before IDs existed get the
+// same ID on every machine that loads the file; `n` tells apart entries with the same term
+function derivedId(entry, n = 0) {
+  const key = `${String(entry.en || JSON.stringify(termsOf(entry))).trim().toLowerCase()}#${n}`;
+  const hex = crypto.createHash('sha1').update(key).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${(8 | parseInt(hex[16], 16) & 3).toString(16)}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+// `readOnly` loads without ever writing back, e.g. for dry runs
+function createDictionary({ filePath, onChange = () => {}, readOnly = false }) {
+  let entries = [];
+
+  function stamp(entry, author) {
+    const now = new Date().toISOString();
+    return {
+      id: entry.id || crypto.randomUUID(),
+      ...termsOf(entry),
+      ...withVariants(variantsOf(entry)),
+      ...withProtection(entry.protected),
+      createdAt: entry.createdAt || now,
+      updatedAt: entry.updatedAt || now,
+      createdBy: entry.createdBy || author || null,
+      updatedBy: entry.updatedBy || author || null
+    };
+  }
+
+  function load() {
+    try {
+      if (fs.existsSync(filePath)) {
+        const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        // Entries written before IDs existed get a derived one, the same on every load, so the
+        // file is only rewritten once something is edited
+        const used = new Set(raw.map(entry => entry.id).filter(Boolean));
+        entries = raw.map(entry => {
+          let id = entry.id;
+          for (let n = 0; !id || (!entry.id && used.has(id)); n++) id = derivedId(entry, n);
+          used.add(id);
+          return stamp({ ...entry, id }, entry.createdBy);
+        });
+        console.log(`📚 Loaded ${entries.length} excluded words`);
+      }
+    } catch (error) {
+      console.error('📚 Error loading excluded words:', error);
+      entries = [];
+    }
+    onChange();
+  }
+
+  function save() {
+    if (readOnly) return;
+    try {
+      fs.writeFileSync(filePath, JSON.stringify(entries, null, 2), 'utf8');
+      console.log(`📚 Saved ${entries.length} excluded words`);
+    } catch (error) {
+      console.error('📚 Error saving excluded words:', error);
+    }
+    onChange();
+  }
+
+  function all() {
+    return entries;
+  }
+
+  function get(id) {
+    return entries.find(entry => entry.id === id) || null;
+  }
+
+  function findByEnglish(en) {
+    const key = String(en || '').trim().toLowerCase();
+    return entries.find(entry => entry.en?.trim().toLowerCase() === key) || null;
+  }
+
+  // Adds a new entry, or merges into the existing one with the same English term
+  function upsert(fields, author) {
+    const existing = findByEnglish(fields.en);
+    if (existing) {
+      return { entry: update(existing.id, fields, author), created: false };
+    }
+    const entry = stamp({ ...termsOf(fields), variants: fields.variants, protected: fields.protected, createdAt: null, updatedAt: null }, author);
+    entries.push(entry);
+    save();
+    return { entry, created: true };
+  }
+
+  // `replace` swaps all terms (PUT); otherwise terms are merged (PATCH).
+  // Passing `expectedUpdatedAt` rejects the change if the entry moved on since it was read.
+  function update(id, fields, author, { replace = false, expectedUpdatedAt } = {}) {
+    const index = entries.findIndex(entry => entry.id === id);
+    if (index === -1) return null;
+
+    const current = entries[index];
+    if (expectedUpdatedAt && expectedUpdatedAt !== current.updatedAt) {
+      throw new DictionaryConflictError(current);
+    }
+
+    const terms = replace ? termsOf(fields) : { ...termsOf(current), ...termsOf(fields) };
+    // Empty strings clear a language rendering
+    Object.keys(terms).forEach(lang => { if (!terms[lang].trim()) delete terms[lang]; });
+    // Variants are replaced per language; an empty list clears that language's variants
+    const variants = replace ? {} : variantsOf(current);
+    Object.keys(fields.variants || {}).forEach(lang => delete variants[lang]);
+    Object.assign(variants, variantsOf(fields));
+    const isProtected = 'protected' in fields ? fields.protected : !replace && current.protected;
+
+    entries[index] = {
+      id: current.id,
+      ...terms,
+      ...withVariants(variants),
+      ...withProtection(isProtected),
+      createdAt: current.createdAt,
+      updatedAt: new Date().toISOString(),
+      createdBy: current.createdBy,
+      updatedBy: author || null
+    };
+    save();
+    return entries[index];
+  }
+
+  function remove(id) {
+    const index = entries.findIndex(entry => entry.id === id);
+    if (index === -1) return null;
+    const [removed] = entries.splice(index, 1);
+    save();
+    return removed;
+  }
+
+  function clear() {
+    entries = [];
+    save();
+  }
+
+  // q matches any rendering, or only the `lang` rendering when given; `lang` also
+  // restricts results to entries that have that language
+  function search({ q = '', lang = '', page = 1, pageSize = 50 } = {}) {
+    const needle = q.trim().toLowerCase();
+    const size = Math.min(Math.max(parseInt(pageSize) || 50, 1), 500);
+
+    const matches = entries.filter(entry => {
+      if (lang && !entry[lang]?.trim()) return false;
+      if (!needle) return true;
+      const variants = variantsOf(entry);
+      const haystack = lang
+        ? [entry[lang], ...(variants[lang] || [])]
+        : [...Object.values(termsOf(entry)), ...Object.values(variants).flat()];
+      return haystack.some(value => value && value.toLowerCase().includes(needle));
+    });
+
+    const totalPages = Math.max(Math.ceil(matches.length / size), 1);
+    const current = Math.min(Math.max(parseInt(page) || 1, 1), totalPages);
+    return {
+      items: matches.slice((current - 1) * size, current * size),
+      total: matches.length,
+      page: current,
+      pageSize: size,
+      totalPages
+    };
+  }
+
+  // Classifies incoming rows against the current entries without changing anything:
+  // new (no match), changed (only fills in missing renderings), conflict (would
+  // overwrite a different existing rendering, or repeats an earlier row), unchanged, invalid.
+  function planImport(incoming) {
+    const plan = { new: [], changed: [], conflicts: [], unchanged: [], invalid: [] };
+    const seen = new Map();
+
+    incoming.forEach((row, index) => {
+      const rowNumber = index + 1;
+      const terms = termsOf(row);
+      if (!terms.en?.trim()) {
+        plan.invalid.push({ row: rowNumber, entry: row, error: 'English word is required' });
+        return;
+      }
+
+      const key = terms.en.trim().toLowerCase();
+      if (seen.has(key)) {
+        plan.conflicts.push({ row: rowNumber, incoming: terms, duplicateOfRow: seen.get(key), fields: ['en'] });
+        return;
+      }
+      seen.set(key, rowNumber);
+
+      const existing = (row.id && get(row.id)) || findByEnglish(terms.en);
+      if (!existing) {
+        plan.new.push({ row: rowNumber, entry: terms });
+        return;
+      }
+
+      const current = termsOf(existing);
+      const added = Object.keys(terms).filter(lang => !current[lang]?.trim());
+      const differing = Object.keys(terms).filter(lang => current[lang]?.trim() && current[lang] !== terms[lang]);
+      if (differing.length > 0) {
+        plan.conflicts.push({ row: rowNumber, id: existing.id, existing: current, incoming: terms, fields: differing });
+      } else if (added.length > 0) {
+        plan.changed.push({ row: rowNumber, id: existing.id, before: current, after: { ...current, ...terms }, fields: added });
+      } else {
+        plan.unchanged.push({ row: rowNumber, id: existing.id });
+      }
+    });
+
+    return plan;
+  }
+
+  // Applies a plan from planImport in one write; conflicts are skipped unless `overwriteConflicts`
+  function applyImport(plan, author, { overwriteConflicts = false } = {}) {
+    const result = { added: 0, updated: 0, skipped: 0 };
+    const now = new Date().toISOString();
+
+    const merge = (id, terms) => {
+      const index = entries.findIndex(entry => entry.id === id);
+      if (index === -1) return false;
+      entries[index] = { ...entries[index], ...terms, updatedAt: now, updatedBy: author || null };
+      return true;
+    };
+
+    plan.new.forEach(({ entry }) => {
+      entries.push(stamp({ ...entry, createdAt: now, updatedAt: now }, author));
+      result.added++;
+    });
+    plan.changed.forEach(({ id, after }) => {
+      if (merge(id, after)) result.updated++;
+    });
+    plan.conflicts.forEach(({ id, incoming }) => {
+      if (overwriteConflicts && id && merge(id, incoming)) result.updated++;
+      else result.skipped++;
+    });
+
+    if (result.added || result.updated) save();
+    return result;
+  }
+
+  return { load, save, all, get, findByEnglish, upsert, update, remove, clear, search, planImport, applyImport };
+}
+
+module.exports = { createDictionary, DictionaryConflictError, termsOf, variantsOf };
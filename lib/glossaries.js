@@ -0,0 +1,95 @@
+// Named, domain-scoped glossaries (e.g. "it-helpdesk", "hr") - one dictionary file per glossary
+const fs = require('fs');
+const path = require('path');
+const { createDictionary } = require('./dictionary');
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+function isValidGlossaryName(name) {
+  return typeof name === 'string' && NAME_PATTERN.test(name);
+}
+
+function createGlossaryRegistry({ dirPath, onChange = () => {}, readOnly = false }) {
+  const glossaries = new Map();
+
+  function fileFor(name) {
+    return path.join(dirPath, `${name}.json`);
+  }
+
+  function open(name) {
+    const glossary = createDictionary({ filePath: fileFor(name), onChange, readOnly });
+    glossaries.set(name, glossary);
+    return glossary;
+  }
+
+  function load() {
+    glossaries.clear();
+    if (!fs.existsSync(dirPath)) return;
+    fs.readdirSync(dirPath)
+      .filter(file => file.endsWith('.json') && isValidGlossaryName(path.basename(file, '.json')))
+      .forEach(file => open(path.basename(file, '.json')).load());
+    console.log(`📚 Loaded ${glossaries.size} domain glossaries`);
+  }
+
+  function get(name) {
+    return glossaries.get(name) || null;
+  }
+
+  function has(name) {
+    return glossaries.has(name);
+  }
+
+  // Creates an empty glossary; returns the existing one if it is already there
+  function create(name) {
+    if (!isValidGlossaryName(name)) {
+      throw new Error('Glossary names may only contain lowercase letters, digits and dashes');
+    }
+    if (glossaries.has(name)) return { glossary: glossaries.get(name), created: false };
+    fs.mkdirSync(dirPath, { recursive: true });
+    const glossary = open(name);
+    glossary.save();
+    return { glossary, created: true };
+  }
+
+  function remove(name) {
+    if (!glossaries.has(name)) return false;
+    glossaries.delete(name);
+    try {
+      fs.unlinkSync(fileFor(name));
+    } catch (error) {
+      console.error(`📚 Error deleting glossary ${name}:`, error);
+    }
+    onChange();
+    return true;
+  }
+
+  function list() {
+    return Array.from(glossaries.entries())
+      .map(([name, glossary]) => ({ name, wordCount: glossary.all().length }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Entries of the named glossaries in priority order (first name wins), followed by `fallback`.
+  // An English term defined by a higher-priority glossary hides the same term further down.
+  function resolve(names = [], fallback = []) {
+    const seen = new Set();
+    const merged = [];
+    const sources = [...names.filter(has).map(name => glossaries.get(name).all()), fallback];
+    sources.forEach(entries => entries.forEach(entry => {
+      const key = entry.en?.trim().toLowerCase();
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      merged.push(entry);
+    }));
+    return merged;
+  }
+
+  // Every glossary's entries, for fingerprinting cached translations
+  function snapshot() {
+    return Object.fromEntries(Array.from(glossaries.entries()).map(([name, glossary]) => [name, glossary.all()]));
+  }
+
+  return { load, get, has, create, remove, list, resolve, snapshot };
+}
+
+module.exports = { createGlossaryRegistry, isValidGlossaryName };
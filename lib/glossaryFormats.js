@@ -0,0 +1,211 @@
+// Glossary file formats - CSV, XLSX and TBX readers/writers for dictionary import and export
+const ExcelJS = require('exceljs');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  tbx: { contentType: 'application/x-tbx+xml; charset=utf-8', extension: 'tbx' }
+};
+
+// Maps a spreadsheet header ("hi", "Hindi", "HI-IN", "id") to a dictionary field
+function headerToField(header, languages) {
+  const value = String(header || '').trim().toLowerCase();
+  if (value === 'id') return 'id';
+  const lang = languages.find(l =>
+    l.code === value || l.code === value.split('-')[0] || l.name.toLowerCase() === value
+  );
+  return lang ? lang.code : null;
+}
+
+function rowsToEntries(header, rows, languages) {
+  const fields = header.map(h => headerToField(h, languages));
+  if (!fields.includes('en')) {
+    throw new Error('Glossary must have an English ("en") column');
+  }
+  return rows
+    .filter(row => row.some(cell => String(cell ?? '').trim()))
+    .map(row => {
+      const entry = {};
+      fields.forEach((field, i) => {
+        const cell = String(row[i] ?? '').trim();
+        if (field && cell) entry[field] = cell;
+      });
+      return entry;
+    });
+}
+
+// ---- CSV ----
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows;
+}
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function writeCsv(entries, codes) {
+  const lines = [['id', ...codes].join(',')];
+  entries.forEach(entry => lines.push([entry.id, ...codes.map(code => entry[code])].map(csvCell).join(',')));
+  // BOM so Excel opens Devanagari and accented text as UTF-8
+  return Buffer.from('\uFEFF' + lines.join('\r\n') + '\r\n', 'utf8');
+}
+
+// ---- XLSX ----
+
+async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, row => {
+    // row.values is 1-based
+    rows.push(row.values.slice(1).map(cell => cell?.text ?? cell?.richText?.map(r => r.text).join('') ?? cell));
+  });
+  return rows;
+}
+
+async function writeXlsx(entries, codes, languages) {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Glossary');
+  worksheet.columns = [
+    { header: 'id', key: 'id', width: 38 },
+    ...codes.map(code => ({ header: code, key: code, width: 24 }))
+  ];
+  entries.forEach(entry => worksheet.addRow(entry));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).eachCell((cell, col) => {
+    const lang = languages.find(l => l.code === codes[col - 2]);
+    if (lang) cell.note = lang.name;
+  });
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// ---- TBX (TBX-Basic / ISO 30042) ----
+
+function xmlEscape(value) {
+  return String(value).replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+  })[ch]);
+}
+
+function xmlUnescape(value) {
+  return value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(n))
+    .replace(/&amp;/g, '&');
+}
+
+// Accepts TBX v2 (termEntry/langSet/tig) and v3 (conceptEntry/langSec/termSec)
+function parseTbx(text, languages) {
+  const entries = [];
+  const entryPattern = /<(termEntry|conceptEntry)\b([^>]*)>([\s\S]*?)<\/\1>/g;
+  const langPattern = /<(langSet|langSec)\b[^>]*xml:lang="([^"]+)"[^>]*>([\s\S]*?)<\/\1>/g;
+  let match;
+  while ((match = entryPattern.exec(text))) {
+    const entry = {};
+    const id = match[2].match(/\bid="([^"]+)"/);
+    if (id) entry.id = xmlUnescape(id[1]);
+    let lang;
+    while ((lang = langPattern.exec(match[3]))) {
+      const field = headerToField(lang[2], languages);
+      const term = lang[3].match(/<term\b[^>]*>([\s\S]*?)<\/term>/);
+      if (field && field !== 'id' && term) entry[field] = xmlUnescape(term[1]).trim();
+    }
+    langPattern.lastIndex = 0;
+    if (Object.keys(entry).some(key => key !== 'id')) entries.push(entry);
+  }
+  return entries;
+}
+
+function writeTbx(entries, codes) {
+  const body = entries.map(entry => {
+    const langSets = codes
+      .filter(code => entry[code])
+      .map(code => `        <langSet xml:lang="${code}">\n          <tig><term>${xmlEscape(entry[code])}</term></tig>\n        </langSet>`)
+      .join('\n');
+    return `      <termEntry id="${xmlEscape(entry.id)}">\n${langSets}\n      </termEntry>`;
+  }).join('\n');
+
+  return Buffer.from(`<?xml version="1.0" encoding="UTF-8"?>
+<martif type="TBX-Basic" xml:lang="en">
+  <martifHeader>
+    <fileDesc><sourceDesc><p>Linguera dictionary export ${new Date().toISOString()}</p></sourceDesc></fileDesc>
+  </martifHeader>
+  <text>
+    <body>
+${body}
+    </body>
+  </text>
+</martif>
+`, 'utf8');
+}
+
+// ---- Public API ----
+
+function detectFormat(format, filename = '') {
+  const value = String(format || filename.split('.').pop() || '').toLowerCase();
+  return FORMATS[value] ? value : null;
+}
+
+async function parseGlossary(buffer, format, languages) {
+  switch (format) {
+    case 'csv': {
+      const [header = [], ...rows] = parseCsv(buffer.toString('utf8'));
+      return rowsToEntries(header, rows, languages);
+    }
+    case 'xlsx': {
+      const [header = [], ...rows] = await readXlsx(buffer);
+      return rowsToEntries(header, rows, languages);
+    }
+    case 'tbx':
+      return parseTbx(buffer.toString('utf8'), languages);
+    default:
+      throw new Error(`Unsupported glossary format: ${format}`);
+  }
+}
+
+async function serializeGlossary(entries, format, languages) {
+  // Registry languages first, then any other renderings found in the data
+  const codes = languages.map(l => l.code);
+  entries.forEach(entry => Object.keys(entry).forEach(key => {
+    if (key !== 'id' && /^[a-z]{2,3}$/.test(key) && !codes.includes(key)) codes.push(key);
+  }));
+
+  switch (format) {
+    case 'csv': return writeCsv(entries, codes);
+    case 'xlsx': return writeXlsx(entries, codes, languages);
+    case 'tbx': return writeTbx(entries, codes);
+    default: throw new Error(`Unsupported glossary format: ${format}`);
+  }
+}
+
+module.exports = { FORMATS, detectFormat, parseGlossary, serializeGlossary };
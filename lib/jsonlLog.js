@@ -0,0 +1,120 @@
+// Shared plumbing for the append-only JSONL logs (audit log, agent presence, translation logs):
+// query date bounds, size-based rotation and streaming reads that never hold a whole file
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// Accepts "2025-06-01" or a full ISO timestamp; dates without a time cover the whole day.
+// Milliseconds since the epoch, or null
+function parseBound(value, endOfDay) {
+  if (!value) return null;
+  const text = String(value);
+  const time = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : text);
+  return isNaN(time) ? null : time;
+}
+
+// One JSONL file's entries in order, a line at a time
+async function* readJsonl(filePath) {
+  const input = fs.createReadStream(filePath, 'utf8');
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        // A torn last line from a crash mid-write is skipped rather than failing the read
+      }
+    }
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+}
+
+// audit-log.jsonl -> audit-log.1.jsonl
+function rotatedPath(filePath, n) {
+  const ext = path.extname(filePath);
+  return n ? `${filePath.slice(0, filePath.length - ext.length)}.${n}${ext}` : filePath;
+}
+
+// A JSONL file that moves aside to file.1.jsonl, file.2.jsonl... once it reaches `maxBytes`;
+// the oldest beyond `maxFiles` rotated files is dropped
+function createRotatingFile({ filePath, maxBytes = 20 * 1024 * 1024, maxFiles = 5 }) {
+  let size = null;
+
+  function rotate() {
+    const oldest = rotatedPath(filePath, maxFiles);
+    if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+    for (let n = maxFiles - 1; n >= 0; n--) {
+      const from = rotatedPath(filePath, n);
+      if (fs.existsSync(from)) fs.renameSync(from, rotatedPath(filePath, n + 1));
+    }
+    size = 0;
+  }
+
+  // Throws on write errors; callers log them their own way
+  function append(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    const bytes = Buffer.byteLength(line);
+    if (size === null) size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    if (size > 0 && size + bytes > maxBytes) rotate();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, line, 'utf8');
+    size += bytes;
+  }
+
+  // Oldest first
+  function files() {
+    const rotated = [];
+    for (let n = maxFiles; n >= 1; n--) rotated.push(rotatedPath(filePath, n));
+    return [...rotated, filePath].filter(file => fs.existsSync(file));
+  }
+
+  return { append, files };
+}
+
+// One page of matching entries, newest first. `sources` are oldest first: arrays, or paths of
+// JSONL files appended in time order. Only the entries up to the end of the requested page are
+// held; past `maxMatches` matches the scan stops and `truncated` is set.
+async function pageNewestFirst(sources, matches, { page = 1, pageSize, maxMatches = 10000 }) {
+  const wanted = Math.min(Math.max(parseInt(page) || 1, 1) * pageSize, maxMatches);
+  const newest = [];
+  let total = 0;
+  let truncated = false;
+
+  for (const source of [...sources].reverse()) {
+    const room = wanted - newest.length;
+    let kept = [];
+    for await (const entry of typeof source === 'string' ? readJsonl(source) : source) {
+      if (!matches(entry)) continue;
+      total++;
+      // Past the page only the count matters; a file still filling it is read to the end,
+      // where its newest entries are
+      if (room <= 0) {
+        if (total >= maxMatches) break;
+        continue;
+      }
+      kept.push(entry);
+      if (kept.length >= room * 2) kept = kept.slice(-room);
+    }
+    if (room > 0) newest.push(...kept.slice(-room).reverse());
+    if (total >= maxMatches) {
+      truncated = true;
+      break;
+    }
+  }
+
+  const totalPages = Math.max(Math.ceil(Math.min(total, maxMatches) / pageSize), 1);
+  const currentPage = Math.min(Math.max(parseInt(page) || 1, 1), totalPages);
+  return {
+    items: newest.slice((currentPage - 1) * pageSize, currentPage * pageSize),
+    total,
+    truncated,
+    page: currentPage,
+    pageSize,
+    totalPages
+  };
+}
+
+module.exports = { parseBound, readJsonl, createRotatingFile, pageNewestFirst };
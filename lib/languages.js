@@ -0,0 +1,78 @@
+// Language registry - supported languages, locales and translation routes
+const fs = require('fs');
+
+// Language codes may arrive as locales ("hi-IN"); the registry is keyed by base code
+function baseCode(code) {
+  return String(code || '').split('-')[0].toLowerCase();
+}
+
+function matchesPair(pattern, sourceLang, targetLang) {
+  const [source, target] = pattern.split('-');
+  return (source === '*' || source === sourceLang) && (target === '*' || target === targetLang);
+}
+
+function loadLanguageRegistry(filePath) {
+  let definition = { pivot: null, directPairs: ['*-*'], languages: [] };
+  try {
+    definition = { ...definition, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    console.log(`🗣️  Loaded ${definition.languages.length} languages (pivot: ${definition.pivot || 'none'})`);
+  } catch (error) {
+    console.error('🗣️  Error loading language registry:', error);
+  }
+
+  const languages = new Map(definition.languages.map(lang => [lang.code, lang]));
+
+  function getLanguage(code) {
+    return languages.get(baseCode(code)) || null;
+  }
+
+  function isDirect(sourceLang, targetLang) {
+    return definition.directPairs.some(pattern => matchesPair(pattern, sourceLang, targetLang));
+  }
+
+  // Returns the chain of languages to translate through, e.g. ['hi', 'en', 'fr'], or null if unsupported
+  function resolveRoute(sourceLang, targetLang) {
+    const sl = baseCode(sourceLang);
+    const tl = baseCode(targetLang);
+
+    if (sl === 'auto') return languages.has(tl) ? [sl, tl] : null;
+    if (!languages.has(sl) || !languages.has(tl)) return null;
+    if (sl === tl) return [sl];
+    if (isDirect(sl, tl)) return [sl, tl];
+
+    const pivot = definition.pivot;
+    if (pivot && languages.has(pivot) && isDirect(sl, pivot) && isDirect(pivot, tl)) {
+      return [sl, pivot, tl];
+    }
+    return null;
+  }
+
+  function nllbCodes() {
+    const codes = {};
+    languages.forEach((lang, code) => {
+      if (lang.nllbCode) codes[code] = lang.nllbCode;
+    });
+    return codes;
+  }
+
+  function toJSON() {
+    const codes = Array.from(languages.keys());
+    const pairs = [];
+    codes.forEach(source => codes.forEach(target => {
+      const route = source !== target && resolveRoute(source, target);
+      if (route) pairs.push({ source, target, via: route.length > 2 ? route.slice(1, -1) : [] });
+    }));
+
+    return {
+      pivot: definition.pivot,
+      languages: Array.from(languages.values()).map(({ code, name, asrLocale, ttsLocale, script }) => ({
+        code, name, asrLocale, ttsLocale, script
+      })),
+      pairs
+    };
+  }
+
+  return { baseCode, getLanguage, resolveRoute, nllbCodes, toJSON };
+}
+
+module.exports = { loadLanguageRegistry, baseCode };
@@ -0,0 +1,61 @@
+// Held seats - a participant whose connection drops (page reload, network blip) keeps their place
+// in the room for a grace period and takes it back with the resume token issued when they joined.
+// Holds tokens and timers only; server.js moves the participant over to the new connection.
+const crypto = require('crypto');
+
+// `onExpire(seat)` is called when a held seat was not taken back in time
+function createRoomSeats({ graceMs = 30000, onExpire = () => {} }) {
+  const seats = new Map(); // token -> { token, roomId, socketId, email, role, name, heldSince, timer }
+
+  function find(socketId, roomId = null) {
+    return Array.from(seats.values()).find(seat => seat.socketId === socketId && (!roomId || seat.roomId === roomId)) || null;
+  }
+
+  function release(roomId, socketId) {
+    const seat = find(socketId, roomId);
+    if (!seat) return;
+    clearTimeout(seat.timer);
+    seats.delete(seat.token);
+  }
+
+  // A new token for the participant; the one issued before for the same seat stops working
+  function issue(roomId, { socketId, email, role, name }) {
+    release(roomId, socketId);
+    const token = crypto.randomBytes(24).toString('hex');
+    seats.set(token, { token, roomId, socketId, email: email || null, role, name: name || null, heldSince: null, timer: null });
+    return token;
+  }
+
+  // Null when the participant has no token or holding is turned off (grace period 0)
+  function hold(roomId, socketId) {
+    const seat = find(socketId, roomId);
+    if (!seat || graceMs <= 0) return null;
+    clearTimeout(seat.timer);
+    seat.heldSince = Date.now();
+    seat.timer = setTimeout(() => {
+      seats.delete(seat.token);
+      onExpire(seat);
+    }, graceMs);
+    seat.timer.unref?.();
+    return seat;
+  }
+
+  // The seat for a token, given up by the server on the way - only for the same signed-in user
+  function take(token, email) {
+    const seat = seats.get(String(token || ''));
+    if (!seat || seat.email !== (email || null)) return null;
+    clearTimeout(seat.timer);
+    seats.delete(seat.token);
+    return seat;
+  }
+
+  // The held seat of a connection that has dropped, for naming it while it is away
+  function heldBy(socketId) {
+    const seat = find(socketId);
+    return seat?.heldSince ? seat : null;
+  }
+
+  return { issue, hold, take, release, heldBy };
+}
+
+module.exports = { createRoomSeats };
@@ -0,0 +1,260 @@
+// Help queue - employees ask for help in a language (and optionally a category) and the
+// longest-waiting request goes to an available agent with matching skills. Requests nobody
+// can take fall back to manual pick, which any agent may do. Transfers come through here too,
+// either to the queue or to one named agent. Holds state only; server.js does the socket
+// work around it.
+const fs = require('fs');
+
+// Without a skills file every agent takes every language and category
+const DEFAULT_SKILLS = { languages: ['*'], categories: ['*'] };
+// Warm: the handing-over agent stays until the next one joins. Cold: they leave at once.
+const TRANSFER_MODES = ['warm', 'cold'];
+
+// { "default": { "languages": ["en"], "categories": ["*"] },
+//   "agents": { "priya@agent.com": { "languages": ["hi", "en"], "categories": ["vpn", "network"] } } }
+function loadAgentSkills(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return { default: DEFAULT_SKILLS, agents: {} };
+  }
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const normalize = skills => ({
+      languages: (skills?.languages || DEFAULT_SKILLS.languages).map(code => String(code).toLowerCase().split('-')[0]),
+      categories: skills?.categories || DEFAULT_SKILLS.categories
+    });
+    const agents = Object.fromEntries(Object.entries(data.agents || {})
+      .map(([email, skills]) => [email.toLowerCase(), normalize(skills)]));
+    console.log(`🎧 Loaded skills for ${Object.keys(agents).length} agents from ${filePath}`);
+    return { default: normalize(data.default), agents };
+  } catch (error) {
+    console.error(`🎧 Error loading agent skills from ${filePath}, every agent takes every call:`, error.message);
+    return { default: DEFAULT_SKILLS, agents: {} };
+  }
+}
+
+function covers(list, value) {
+  return list.includes('*') || list.includes(value);
+}
+
+// `categories` is the list of { id, label } employees can choose from
+function createRoutingQueue({ skills = { default: DEFAULT_SKILLS, agents: {} }, categories = [], fallbackMs = 120000, acceptMs = 30000 }) {
+  const requests = new Map(); // requestId -> request
+  const agents = new Map(); // socketId -> agent
+  let nextId = 1;
+
+  function skillsFor(email) {
+    return skills.agents[String(email || '').toLowerCase()] || skills.default;
+  }
+
+  // A transfer to a named agent is for that agent only, whatever their skills
+  function matchesSkills(agent, request) {
+    if (request.targetEmail) return agent.email === request.targetEmail;
+    return covers(agent.skills.languages, request.languageCode) &&
+      (!request.category || covers(agent.skills.categories, request.category));
+  }
+
+  // Manual-pick requests are open to every agent
+  function isEligible(agent, request) {
+    return request.mode === 'manual' || matchesSkills(agent, request);
+  }
+
+  function waiting() {
+    return Array.from(requests.values())
+      .filter(request => request.status === 'waiting')
+      .sort((a, b) => a.requestedAt - b.requestedAt);
+  }
+
+  // `transfer` ({ mode, from, fromName, fromSocketId, note }) is set when an agent hands the call on
+  function enqueue({ roomId, socketId, email, language, category, targetEmail = null, transfer = null }) {
+    const request = {
+      id: `q${nextId++}`,
+      roomId,
+      socketId,
+      email: email || null,
+      language,
+      languageCode: String(language || 'en').toLowerCase().split('-')[0],
+      category: categories.some(c => c.id === category) ? category : null,
+      requestedAt: Date.now(),
+      mode: 'routed',
+      status: 'waiting',
+      assignedTo: null,
+      assignedAt: null,
+      declined: new Set(),
+      targetEmail: targetEmail ? String(targetEmail).toLowerCase() : null,
+      transfer
+    };
+    if (transfer?.fromSocketId) request.declined.add(transfer.fromSocketId);
+    requests.set(request.id, request);
+    return request;
+  }
+
+  function get(requestId) {
+    return requests.get(requestId) || null;
+  }
+
+  // Taken off the queue - the call was answered, or the employee gave up
+  function remove(requestId) {
+    const request = requests.get(requestId);
+    if (!request) return null;
+    requests.delete(requestId);
+    const agent = request.assignedTo && agents.get(request.assignedTo);
+    if (agent && agent.reservedFor === requestId) agent.reservedFor = null;
+    return request;
+  }
+
+  function release(request) {
+    const agent = agents.get(request.assignedTo);
+    if (agent && agent.reservedFor === request.id) agent.reservedFor = null;
+    request.status = 'waiting';
+    request.assignedTo = null;
+    request.assignedAt = null;
+  }
+
+  // Sends a transfer meant for one agent to the queue instead (email null)
+  function retarget(requestId, email) {
+    const request = requests.get(requestId);
+    if (!request) return null;
+    if (request.status === 'assigned') release(request);
+    request.targetEmail = email ? String(email).toLowerCase() : null;
+    request.requestedAt = Date.now();
+    return request;
+  }
+
+  // An employee or agent who reconnected keeps their requests and transfers under the new socket
+  function replaceSocket(previousId, socketId) {
+    requests.forEach(request => {
+      if (request.socketId === previousId) request.socketId = socketId;
+      if (request.transfer?.fromSocketId === previousId) request.transfer.fromSocketId = socketId;
+      if (request.declined.delete(previousId)) request.declined.add(socketId);
+    });
+  }
+
+  function setAgent(socketId, fields) {
+    const agent = agents.get(socketId) || {
+      socketId,
+      available: false,
+      busy: false,
+      reservedFor: null,
+      lastAssignedAt: 0
+    };
+    Object.assign(agent, fields);
+    agent.skills = skillsFor(agent.email);
+    agents.set(socketId, agent);
+    return agent;
+  }
+
+  // Requests held for a disconnected agent go back to waiting
+  function removeAgent(socketId) {
+    agents.delete(socketId);
+    const released = Array.from(requests.values()).filter(request => request.assignedTo === socketId);
+    released.forEach(release);
+    return released;
+  }
+
+  function assignTo(request, agent) {
+    request.status = 'assigned';
+    request.assignedTo = agent.socketId;
+    request.assignedAt = Date.now();
+    agent.reservedFor = request.id;
+    agent.lastAssignedAt = request.assignedAt;
+  }
+
+  // Manual pick by an agent; null when the request is gone, taken or not theirs to take
+  function pick(requestId, socketId) {
+    const request = requests.get(requestId);
+    const agent = agents.get(socketId);
+    if (!request || !agent || agent.busy || agent.reservedFor || request.status !== 'waiting' || !isEligible(agent, request)) return null;
+    assignTo(request, agent);
+    return request;
+  }
+
+  // One routing pass: lapsed assignments go back to the queue (the agent is skipped for that
+  // request from then on), requests nobody can take move to manual pick, and the longest-waiting
+  // requests are offered to the agents who have been idle longest. Transfers to a named agent
+  // never go to manual pick; they lapse when that agent has not taken them in time.
+  function route(now = Date.now()) {
+    const expired = [];
+    const fallbacks = [];
+    const assignments = [];
+
+    for (const request of requests.values()) {
+      if (request.status === 'assigned' && now - request.assignedAt > acceptMs) {
+        request.declined.add(request.assignedTo);
+        release(request);
+        expired.push(request);
+      } else if (request.targetEmail && request.status === 'waiting' && now - request.requestedAt > acceptMs) {
+        expired.push(request);
+      }
+    }
+
+    for (const request of waiting()) {
+      if (request.mode === 'routed' && !request.targetEmail) {
+        const someoneMatches = Array.from(agents.values()).some(agent => matchesSkills(agent, request));
+        if (!someoneMatches || now - request.requestedAt > fallbackMs) {
+          request.mode = 'manual';
+          fallbacks.push(request);
+        }
+      }
+
+      const agent = Array.from(agents.values())
+        .filter(a => a.available && !a.busy && !a.reservedFor && !request.declined.has(a.socketId) && matchesSkills(a, request))
+        .sort((a, b) => a.lastAssignedAt - b.lastAssignedAt)[0];
+      if (agent) {
+        assignTo(request, agent);
+        assignments.push({ request, agent });
+      }
+    }
+
+    return { assignments, fallbacks, expired };
+  }
+
+  function position(requestId) {
+    return waiting().findIndex(request => request.id === requestId) + 1;
+  }
+
+  function toJSON(request) {
+    const category = categories.find(c => c.id === request.category);
+    return {
+      requestId: request.id,
+      roomId: request.roomId,
+      language: request.language,
+      category: category ? { id: category.id, label: category.label } : null,
+      mode: request.mode,
+      status: request.status,
+      position: position(request.id) || null,
+      waitingSeconds: Math.round((Date.now() - request.requestedAt) / 1000),
+      target: request.targetEmail,
+      transfer: request.transfer
+        ? { mode: request.transfer.mode, from: request.transfer.fromName || request.transfer.from, note: request.transfer.note }
+        : null
+    };
+  }
+
+  // Queue entries an agent may see: everything they could take, plus what is held for them
+  function visibleTo(socketId) {
+    const agent = agents.get(socketId);
+    if (!agent) return [];
+    return Array.from(requests.values())
+      .filter(request => request.assignedTo === socketId || (request.status === 'waiting' && isEligible(agent, request)))
+      .sort((a, b) => a.requestedAt - b.requestedAt)
+      .map(toJSON);
+  }
+
+  function status() {
+    const all = Array.from(requests.values());
+    return {
+      waiting: all.filter(request => request.status === 'waiting').length,
+      manual: all.filter(request => request.mode === 'manual').length,
+      assigned: all.filter(request => request.status === 'assigned').length,
+      agents: agents.size,
+      availableAgents: Array.from(agents.values()).filter(agent => agent.available && !agent.busy).length
+    };
+  }
+
+  return {
+    enqueue, get, remove, retarget, replaceSocket, setAgent, removeAgent, pick, route, position,
+    waiting, visibleTo, toJSON, status, agents: () => Array.from(agents.values())
+  };
+}
+
+module.exports = { createRoutingQueue, loadAgentSkills, TRANSFER_MODES };
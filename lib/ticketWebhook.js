@@ -0,0 +1,243 @@
+// Outbound ITSM integration - posts a ticket to a ServiceNow-style REST endpoint when a call
+// ends. Tickets wait briefly for the employee's feedback rating, are retried with backoff,
+// and land in a JSONL dead-letter file when they cannot be delivered, for replaying later.
+const fs = require('fs');
+const path = require('path');
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+// ServiceNow incident fields. A string that is exactly one placeholder keeps the value's type.
+const DEFAULT_TICKET_TEMPLATE = {
+  caller_id: '{{callerEmail}}',
+  short_description: 'Linguera call: {{category}} ({{callerLanguageName}})',
+  description: '{{ticketNotes}}',
+  category: '{{category}}',
+  contact_type: 'phone',
+  work_notes: '{{transcript}}',
+  u_caller_language: '{{callerLanguage}}',
+  u_agent: '{{agentEmail}}',
+  u_call_duration_seconds: '{{durationSeconds}}',
+  u_feedback_rating: '{{feedbackRating}}',
+  u_linguera_room: '{{roomId}}'
+};
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+function lookup(context, key) {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), context);
+}
+
+// Fills {{placeholders}} anywhere in a JSON template
+function renderTemplate(template, context) {
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) return lookup(context, whole[1]) ?? null;
+    return template.replace(PLACEHOLDER, (_, key) => String(lookup(context, key) ?? ''));
+  }
+  if (Array.isArray(template)) return template.map(item => renderTemplate(item, context));
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, context)]));
+  }
+  return template;
+}
+
+// Template values for a finished call. `transcript` is the bilingual text transcript.
+function ticketContext(record, { feedback = null, transcript = '', languageName = code => code }) {
+  const caller = record.participants.find(p => p.role === 'employee') || record.participants.find(p => p.role !== 'agent') || {};
+  const agent = record.participants.find(p => p.role === 'agent') || {};
+  const endTime = Date.parse(record.endedAt);
+  const durationSeconds = isNaN(endTime) ? null : Math.max(Math.round((endTime - Date.parse(record.startedAt)) / 1000), 0);
+  const summary = record.summary;
+  return {
+    roomId: record.roomId,
+    startedAt: record.startedAt,
+    endedAt: record.endedAt,
+    durationSeconds,
+    durationMinutes: durationSeconds === null ? null : Math.round(durationSeconds / 60),
+    callerEmail: caller.email || null,
+    callerLanguage: caller.language || null,
+    callerLanguageName: languageName(caller.language),
+    agentEmail: agent.email || null,
+    agentLanguage: agent.language || null,
+    category: summary?.category.label || 'Other',
+    categoryId: summary?.category.id || 'other',
+    summary: summary?.summary || '',
+    actionItems: summary ? summary.actionItems.map(item => item.text) : [],
+    ticketNotes: summary?.ticketNotes || '',
+    transcript,
+    utteranceCount: record.utterances.length,
+    feedbackRating: feedback?.rating ?? null,
+    feedbackComments: feedback?.feedback || feedback?.comments || null
+  };
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// `buildPayload(record, feedback)` turns a finished call into the request body
+function createTicketWebhook({
+  url,
+  headers = {},
+  buildPayload,
+  maxAttempts = 5,
+  retryDelayMs = 2000,
+  timeoutMs = 10000,
+  feedbackWaitMs = 60000,
+  deadLetterFile
+}) {
+  const pending = new Map(); // transcriptId -> { record, feedback, timer }
+  const stats = { delivered: 0, deadLettered: 0, lastError: null, lastDeliveredAt: null };
+
+  // One POST; throws with `retryable` set for network errors, timeouts, 429 and 5xx
+  async function post(payload) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      throw Object.assign(new Error(error.message), { retryable: true });
+    }
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+      const detail = body?.error?.message || body?.error || response.statusText;
+      throw Object.assign(new Error(`HTTP ${response.status}: ${detail}`), {
+        retryable: response.status === 429 || response.status >= 500
+      });
+    }
+    return body;
+  }
+
+  function deadLetter(entry) {
+    try {
+      fs.mkdirSync(path.dirname(deadLetterFile), { recursive: true });
+      fs.appendFileSync(deadLetterFile, JSON.stringify(entry) + '\n', 'utf8');
+      stats.deadLettered++;
+      console.error(`🎫 Ticket for room ${entry.roomId} moved to dead letters: ${entry.error}`);
+    } catch (error) {
+      console.error(`🎫 Error writing dead letter for room ${entry.roomId}:`, error);
+    }
+  }
+
+  // Posts with exponential backoff; returns the response body, or null once dead-lettered
+  async function deliver(roomId, payload, { attempts = maxAttempts, record = true } = {}) {
+    let lastError;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        const body = await post(payload);
+        stats.delivered++;
+        stats.lastDeliveredAt = new Date().toISOString();
+        const number = body?.result?.number || body?.number;
+        console.log(`🎫 Ticket${number ? ` ${number}` : ''} created for room ${roomId} (attempt ${attempt})`);
+        return body || {};
+      } catch (error) {
+        lastError = error;
+        stats.lastError = error.message;
+        console.warn(`🎫 Ticket for room ${roomId} failed (attempt ${attempt}/${attempts}): ${error.message}`);
+        if (!error.retryable) break;
+        if (attempt < attempts) await wait(retryDelayMs * 2 ** (attempt - 1));
+      }
+    }
+    if (record) {
+      deadLetter({ roomId, failedAt: new Date().toISOString(), attempts, error: lastError.message, payload });
+    }
+    return null;
+  }
+
+  async function send(transcriptId, options) {
+    const entry = pending.get(transcriptId);
+    if (!entry) return null;
+    pending.delete(transcriptId);
+    clearTimeout(entry.timer);
+
+    const roomId = entry.record.roomId;
+    let payload;
+    try {
+      payload = await buildPayload(entry.record, entry.feedback);
+    } catch (error) {
+      console.error(`🎫 Error building ticket for room ${roomId}:`, error);
+      return null;
+    }
+    return deliver(roomId, payload, options);
+  }
+
+  // Queues a finished call under its transcript ID (a room can be reused for another call);
+  // it is sent once feedback arrives or the wait runs out
+  function enqueue(record, transcriptId) {
+    const timer = setTimeout(() => send(transcriptId).catch(console.error), feedbackWaitMs);
+    timer.unref?.();
+    pending.set(transcriptId, { record, feedback: null, timer });
+  }
+
+  // Adds a rating to the room's latest queued ticket and sends it straight away - only when
+  // `email` took part in that call
+  function attachFeedback(roomId, email, feedback) {
+    const match = Array.from(pending.entries())
+      .filter(([, entry]) => entry.record.roomId === roomId && email &&
+        entry.record.participants.some(participant => participant.email === email))
+      .pop();
+    if (!match) return false;
+    const [transcriptId, entry] = match;
+    entry.feedback = feedback;
+    send(transcriptId).catch(console.error);
+    return true;
+  }
+
+  // On shutdown: one attempt each, so failures end up in the dead-letter file rather than lost
+  async function flush() {
+    const transcriptIds = Array.from(pending.keys());
+    await Promise.allSettled(transcriptIds.map(transcriptId => send(transcriptId, { attempts: 1 })));
+    return transcriptIds.length;
+  }
+
+  // Lines that do not parse (e.g. torn by a crash mid-write) are kept in `unreadable`
+  function readDeadLetterFile() {
+    const entries = [];
+    const unreadable = [];
+    if (!fs.existsSync(deadLetterFile)) return { entries, unreadable };
+    fs.readFileSync(deadLetterFile, 'utf8').split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        unreadable.push(line);
+      }
+    });
+    return { entries, unreadable };
+  }
+
+  function readDeadLetters() {
+    return readDeadLetterFile().entries;
+  }
+
+  // Re-sends dead-lettered tickets; the ones that fail again, and unreadable lines, stay in the file
+  async function replay({ attempts = 1, dryRun = false } = {}) {
+    const { entries, unreadable } = readDeadLetterFile();
+    if (unreadable.length > 0) console.warn(`🎫 Keeping ${unreadable.length} unreadable line(s) in ${path.basename(deadLetterFile)}`);
+    if (dryRun) return { total: entries.length, delivered: 0, failed: entries.length };
+
+    const remaining = [];
+    for (const entry of entries) {
+      const body = await deliver(entry.roomId, entry.payload, { attempts, record: false });
+      if (!body) remaining.push({ ...entry, retriedAt: new Date().toISOString(), error: stats.lastError });
+    }
+    const lines = [...unreadable, ...remaining.map(entry => JSON.stringify(entry))];
+    if (lines.length > 0) {
+      fs.writeFileSync(deadLetterFile, lines.join('\n') + '\n', 'utf8');
+    } else if (fs.existsSync(deadLetterFile)) {
+      fs.unlinkSync(deadLetterFile);
+    }
+    return { total: entries.length, delivered: entries.length - remaining.length, failed: remaining.length };
+  }
+
+  function status() {
+    return { url, pending: pending.size, ...stats, deadLetters: readDeadLetters().length };
+  }
+
+  return { enqueue, attachFeedback, flush, deliver, replay, readDeadLetters, status };
+}
+
+module.exports = { createTicketWebhook, renderTemplate, ticketContext, DEFAULT_TICKET_TEMPLATE };
@@ -0,0 +1,154 @@
+// Transcript export formats - readable bilingual records for attaching to tickets
+const { Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, WidthType } = require('docx');
+const { translationsOf } = require('./transcripts');
+
+const FORMATS = {
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' }
+};
+
+const ROLE_LABELS = { agent: 'Agent', employee: 'Employee', supervisor: 'Supervisor', guest: 'Participant' };
+// Subtitle cues last until the next utterance, within these bounds
+const MIN_CUE_MS = 1000;
+const MAX_CUE_MS = 6000;
+
+function roleLabel(role) {
+  return ROLE_LABELS[role] || role || ROLE_LABELS.guest;
+}
+
+// Spreadsheets run cells starting with these as formulas; the quote makes them text
+function csvCell(value) {
+  const raw = String(value ?? '');
+  const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Cue timings relative to the start of the call
+function cues(record) {
+  const start = Date.parse(record.startedAt);
+  return record.utterances.map((utterance, i) => {
+    const from = Math.max(Date.parse(utterance.timestamp) - start, 0);
+    const next = record.utterances[i + 1];
+    const gap = next ? Date.parse(next.timestamp) - start - from : MAX_CUE_MS;
+    return { utterance, from, to: from + Math.min(Math.max(gap, MIN_CUE_MS), MAX_CUE_MS) };
+  });
+}
+
+// Cue text is markup in WebVTT: a literal "<" or "&" would open a tag or an entity
+function vttText(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function clock(ms, separator) {
+  const pad = (value, size = 2) => String(value).padStart(size, '0');
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor(ms / 60000) % 60;
+  const seconds = Math.floor(ms / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+// e.g. "warm from a@agent.com to b@agent.com (connected)"; records saved before transfers have none
+function transferLines(record) {
+  return (record.transfers || []).map(t =>
+    `${t.mode} from ${t.from} to ${t.acceptedBy || t.to || 'the queue'} (${t.outcome})${t.note ? ` - ${t.note}` : ''}`);
+}
+
+function renderTxt(record, languageName) {
+  const transfers = transferLines(record);
+  const lines = [
+    `Linguera call transcript - room ${record.roomId}`,
+    `Started: ${record.startedAt}${record.endedAt ? `  Ended: ${record.endedAt}` : ''}`,
+    `Participants: ${record.participants.map(p => `${roleLabel(p.role)}${p.email ? ` <${p.email}>` : ''} (${languageName(p.language)})`).join(', ')}`,
+    ...(transfers.length ? [`Transfers: ${transfers.join('; ')}`] : []),
+    ''
+  ];
+  record.utterances.forEach(u => {
+    lines.push(`[${new Date(u.timestamp).toLocaleString()}] ${roleLabel(u.role)} (${languageName(u.language)}): ${u.original}`);
+    translationsOf(u).forEach(t => lines.push(`    -> ${languageName(t.language)}: ${t.text}`));
+  });
+  return Buffer.from(lines.join('\n') + '\n', 'utf8');
+}
+
+function renderSrt(record) {
+  const blocks = cues(record).map(({ utterance: u, from, to }, i) => [
+    i + 1,
+    `${clock(from, ',')} --> ${clock(to, ',')}`,
+    `${roleLabel(u.role)}: ${u.original}`,
+    ...translationsOf(u).map(t => `(${t.text})`)
+  ].join('\n'));
+  return Buffer.from(blocks.join('\n\n') + '\n', 'utf8');
+}
+
+function renderVtt(record) {
+  const blocks = cues(record).map(({ utterance: u, from, to }) => [
+    `${clock(from, '.')} --> ${clock(to, '.')}`,
+    `<v ${vttText(roleLabel(u.role))}>${vttText(u.original)}`,
+    ...translationsOf(u).map(t => `<i>${vttText(t.text)}</i>`)
+  ].join('\n'));
+  return Buffer.from(['WEBVTT', `NOTE Linguera call transcript - room ${record.roomId}`, ...blocks].join('\n\n') + '\n', 'utf8');
+}
+
+function renderCsv(record) {
+  const header = ['timestamp', 'role', 'email', 'language', 'original', 'translation_language', 'translation', 'provider'];
+  // One row per translation in multi-party calls
+  const rows = record.utterances.flatMap(u => (translationsOf(u).length ? translationsOf(u) : [null]).map(t => [
+    u.timestamp, u.role, u.email, u.language, u.original,
+    t?.language, t?.text, t?.provider
+  ]));
+  // BOM so Excel opens Devanagari and accented text as UTF-8
+  return Buffer.from('\uFEFF' + [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n', 'utf8');
+}
+
+async function renderDocx(record, languageName) {
+  const cell = (text, bold = false) => new TableCell({
+    children: [new Paragraph({ children: [new TextRun({ text: String(text ?? ''), bold })] })]
+  });
+  const table = new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [
+      new TableRow({ tableHeader: true, children: ['Time', 'Speaker', 'Original', 'Translation'].map(h => cell(h, true)) }),
+      ...record.utterances.map(u => new TableRow({
+        children: [
+          cell(new Date(u.timestamp).toLocaleTimeString()),
+          cell(`${roleLabel(u.role)} (${languageName(u.language)})`),
+          cell(u.original),
+          cell(translationsOf(u).map(t => `${t.text} (${languageName(t.language)})`).join('; '))
+        ]
+      }))
+    ]
+  });
+
+  const doc = new Document({
+    creator: 'Linguera',
+    title: `Call transcript - room ${record.roomId}`,
+    sections: [{
+      children: [
+        new Paragraph({ text: 'Linguera call transcript', heading: HeadingLevel.HEADING_1 }),
+        new Paragraph(`Room: ${record.roomId}`),
+        new Paragraph(`Started: ${record.startedAt}${record.endedAt ? `   Ended: ${record.endedAt}` : ''}`),
+        new Paragraph(`Participants: ${record.participants.map(p => `${roleLabel(p.role)}${p.email ? ` <${p.email}>` : ''} (${languageName(p.language)})`).join(', ')}`),
+        ...transferLines(record).map(line => new Paragraph(`Transfer: ${line}`)),
+        new Paragraph(''),
+        table
+      ]
+    }]
+  });
+  return Packer.toBuffer(doc);
+}
+
+// `languageName` maps a locale such as "hi-IN" to a display name
+async function renderTranscript(record, format, languageName = code => code || 'unknown') {
+  switch (format) {
+    case 'txt': return renderTxt(record, languageName);
+    case 'srt': return renderSrt(record);
+    case 'vtt': return renderVtt(record);
+    case 'csv': return renderCsv(record);
+    case 'docx': return renderDocx(record, languageName);
+    default: throw new Error(`Unsupported transcript format: ${format}`);
+  }
+}
+
+module.exports = { FORMATS, renderTranscript };
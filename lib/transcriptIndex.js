@@ -0,0 +1,206 @@
+// Search index over saved transcripts - metadata per call plus an inverted word index
+// covering both the original and the translated text. Old flat .txt transcripts are
+// indexed too, with whatever can be recovered from their lines.
+const fs = require('fs');
+const path = require('path');
+const { translationsOf } = require('./transcripts');
+
+const JSON_PATTERN = /^(.+)-(\d+)\.json$/;
+const TXT_PATTERN = /^(.+)-(\d+)\.txt$/;
+// "[6/1/2025, 10:00:00 AM] [TRANSLATED] <socket id>: text"
+const TXT_LINE_PATTERN = /^\[([^\]]+)\]\s+(\[TRANSLATED\]\s+)?([^:]+):\s?(.*)$/;
+
+function words(text) {
+  return String(text || '').toLowerCase().normalize('NFC').match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+}
+
+// Rebuilds a transcript record from the old flat text format. Its times were written in the
+// saving server's local time zone without an offset; the file name holds the exact save time,
+// so the zone is recovered from the gap between the two (rounded to 15 minutes).
+function parseLegacyTranscript(content, roomId, epoch) {
+  const lines = content.split('\n').map(line => line.match(TXT_LINE_PATTERN)).filter(Boolean);
+  const times = lines.map(([, time]) => Date.parse(time)).filter(time => !isNaN(time));
+  const quarterHour = 15 * 60 * 1000;
+  const offset = times.length ? Math.round((times[times.length - 1] - epoch) / quarterHour) * quarterHour : 0;
+
+  const utterances = [];
+  lines.forEach(([, time, translated, speaker, text]) => {
+    const timestamp = new Date(isNaN(Date.parse(time)) ? epoch : Date.parse(time) - offset).toISOString();
+    const previous = utterances[utterances.length - 1];
+    if (translated && previous && !previous.translation) {
+      previous.translation = { text, language: null, provider: null, translatedAt: timestamp };
+      return;
+    }
+    utterances.push({ id: utterances.length + 1, speaker: speaker.trim(), role: 'guest', email: null, language: null, original: text, translation: null, timestamp });
+  });
+  return {
+    roomId,
+    startedAt: utterances[0]?.timestamp || new Date(epoch).toISOString(),
+    endedAt: new Date(epoch).toISOString(),
+    participants: [],
+    utterances,
+    legacy: true
+  };
+}
+
+function summarize(id, record) {
+  const emailsFor = role => [...new Set(
+    [...record.participants, ...record.utterances].filter(p => p.role === role && p.email).map(p => p.email.toLowerCase())
+  )];
+  const languages = new Set();
+  record.participants.forEach(p => p.language && languages.add(p.language.split('-')[0]));
+  record.utterances.forEach(u => {
+    if (u.language) languages.add(u.language.split('-')[0]);
+    translationsOf(u).forEach(t => t.language && languages.add(t.language.split('-')[0]));
+  });
+  return {
+    id,
+    roomId: record.roomId,
+    startedAt: record.startedAt,
+    endedAt: record.endedAt,
+    agents: emailsFor('agent'),
+    employees: emailsFor('employee'),
+    languages: [...languages],
+    utteranceCount: record.utterances.length,
+    category: record.summary ? { id: record.summary.category.id, label: record.summary.category.label } : null,
+    legacy: !!record.legacy
+  };
+}
+
+function createTranscriptIndex({ dirPath }) {
+  const documents = new Map(); // id -> { summary, filePath }
+  const postings = new Map(); // word -> Set of ids
+
+  function read(filePath) {
+    const name = path.basename(filePath);
+    const json = name.match(JSON_PATTERN);
+    if (json) return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const txt = name.match(TXT_PATTERN);
+    if (txt) return parseLegacyTranscript(fs.readFileSync(filePath, 'utf8'), txt[1], parseInt(txt[2]));
+    return null;
+  }
+
+  function add(filePath) {
+    let record;
+    try {
+      record = read(filePath);
+    } catch (error) {
+      console.error(`🔎 Error indexing transcript ${filePath}:`, error.message);
+      return null;
+    }
+    if (!record) return null;
+
+    const id = path.basename(filePath).replace(/\.(json|txt)$/, '');
+    remove(id);
+    documents.set(id, { summary: summarize(id, record), filePath });
+    record.utterances.forEach(u => {
+      [...words(u.original), ...translationsOf(u).flatMap(t => words(t.text))].forEach(word => {
+        if (!postings.has(word)) postings.set(word, new Set());
+        postings.get(word).add(id);
+      });
+    });
+    return id;
+  }
+
+  function remove(id) {
+    if (!documents.has(id)) return;
+    documents.delete(id);
+    postings.forEach((ids, word) => {
+      ids.delete(id);
+      if (ids.size === 0) postings.delete(word);
+    });
+  }
+
+  function build() {
+    documents.clear();
+    postings.clear();
+    if (!fs.existsSync(dirPath)) return;
+    fs.readdirSync(dirPath)
+      .filter(name => JSON_PATTERN.test(name) || TXT_PATTERN.test(name))
+      .forEach(name => add(path.join(dirPath, name)));
+    console.log(`🔎 Indexed ${documents.size} transcripts (${postings.size} words)`);
+  }
+
+  // Full record for a transcript id, e.g. "room1-1717236000000"
+  function get(id) {
+    const doc = documents.get(id);
+    if (!doc) return null;
+    try {
+      return { id, ...read(doc.filePath) };
+    } catch (error) {
+      console.error(`🔎 Error reading transcript ${id}:`, error.message);
+      return null;
+    }
+  }
+
+  // Every word of `q` must appear in the call; the last one may be a prefix ("pass" finds "password")
+  function matchKeyword(q) {
+    const queryWords = words(q);
+    if (queryWords.length === 0) return null;
+    let result = null;
+    queryWords.forEach((word, i) => {
+      const ids = new Set(postings.get(word) || []);
+      if (i === queryWords.length - 1) {
+        postings.forEach((postingIds, indexed) => {
+          if (indexed.startsWith(word)) postingIds.forEach(id => ids.add(id));
+        });
+      }
+      result = result ? new Set([...result].filter(id => ids.has(id))) : ids;
+    });
+    return result;
+  }
+
+  // First utterance containing all the keyword's words, for showing in results
+  function snippet(id, q) {
+    const record = get(id);
+    const queryWords = words(q);
+    const hit = record?.utterances.find(u => {
+      const text = [...words(u.original), ...translationsOf(u).flatMap(t => words(t.text))];
+      return queryWords.every((word, i) => text.some(t => i === queryWords.length - 1 ? t.startsWith(word) : t === word));
+    });
+    return hit ? { utteranceId: hit.id, original: hit.original, translation: hit.translation?.text || null } : null;
+  }
+
+  // Newest first. Filters: from/to (date or ISO timestamp), agent, employee (email, partial match),
+  // language (code), q (keyword over original and translated text)
+  function search({ from, to, agent, employee, language, q, page = 1, pageSize = 25 } = {}) {
+    const fromTime = from ? Date.parse(from) : NaN;
+    const toTime = to ? Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to) : NaN;
+    const keywordIds = q ? matchKeyword(q) : null;
+    const size = Math.min(Math.max(parseInt(pageSize) || 25, 1), 200);
+    const includes = (list, value) => list.some(item => item.includes(String(value).toLowerCase()));
+
+    const matches = Array.from(documents.values())
+      .map(doc => doc.summary)
+      .filter(summary => {
+        const started = Date.parse(summary.startedAt);
+        if (!isNaN(fromTime) && started < fromTime) return false;
+        if (!isNaN(toTime) && started > toTime) return false;
+        if (agent && !includes(summary.agents, agent)) return false;
+        if (employee && !includes(summary.employees, employee)) return false;
+        if (language && !summary.languages.includes(String(language).split('-')[0])) return false;
+        if (keywordIds && !keywordIds.has(summary.id)) return false;
+        return true;
+      })
+      .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+
+    const totalPages = Math.max(Math.ceil(matches.length / size), 1);
+    const current = Math.min(Math.max(parseInt(page) || 1, 1), totalPages);
+    const items = matches.slice((current - 1) * size, current * size);
+    return {
+      items: q ? items.map(item => ({ ...item, snippet: snippet(item.id, q) })) : items,
+      total: matches.length,
+      page: current,
+      pageSize: size,
+      totalPages
+    };
+  }
+
+  function status() {
+    return { transcripts: documents.size, words: postings.size };
+  }
+
+  return { build, add, remove, get, search, status };
+}
+
+module.exports = { createTranscriptIndex };
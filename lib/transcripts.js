@@ -0,0 +1,165 @@
+// Call transcripts - one structured record per call, kept in memory while the room is
+// live and saved as JSON: participants with roles and languages, one entry per
+// utterance holding the original text and its translations, transfers between agents and the
+// end-of-call summary. A transferred call stays one record for as long as the room lives.
+const fs = require('fs');
+const path = require('path');
+
+// Every translation of an utterance. `translation` keeps the first one, which is all that
+// two-party calls and records saved before multi-party rooms have.
+function translationsOf(utterance) {
+  if (utterance.translations?.length) return utterance.translations;
+  return utterance.translation ? [utterance.translation] : [];
+}
+
+function addTranslation(utterance, translation) {
+  utterance.translations = [...translationsOf(utterance), translation];
+  if (!utterance.translation) utterance.translation = translation;
+}
+
+// Anything that is not a date is stamped with the current time
+function validTime(value) {
+  const time = new Date(value ?? Date.now());
+  return isNaN(time.getTime()) ? new Date() : time;
+}
+
+// Room IDs come from clients, so they are never used in file names as-is
+function safeName(roomId) {
+  return String(roomId).replace(/[^\w.-]/g, '_');
+}
+
+function createTranscriptStore({ dirPath }) {
+  const live = new Map();
+
+  function fileFor(record) {
+    return path.join(dirPath, `${safeName(record.roomId)}-${Date.parse(record.startedAt)}.json`);
+  }
+
+  function start(roomId) {
+    if (!live.has(roomId)) {
+      live.set(roomId, {
+        roomId,
+        startedAt: new Date().toISOString(),
+        endedAt: null,
+        participants: [],
+        utterances: [],
+        transfers: [],
+        summary: null
+      });
+    }
+    return live.get(roomId);
+  }
+
+  function get(roomId) {
+    return live.get(roomId) || null;
+  }
+
+  function entries() {
+    return Array.from(live.entries());
+  }
+
+  // Adds the participant, or updates the fields given for one already in the call
+  function setParticipant(roomId, id, fields) {
+    const record = start(roomId);
+    let participant = record.participants.find(p => p.id === id);
+    if (!participant) {
+      participant = { id, role: 'guest', email: null, language: null, joinedAt: new Date().toISOString(), leftAt: null };
+      record.participants.push(participant);
+    }
+    Object.assign(participant, fields);
+    return participant;
+  }
+
+  // A participant who reconnected stays one participant, with their utterances, under the new ID
+  function renameParticipant(roomId, previousId, id) {
+    const record = live.get(roomId);
+    if (!record) return;
+    record.participants.filter(p => p.id === previousId).forEach(p => Object.assign(p, { id, leftAt: null }));
+    record.utterances.filter(u => u.speaker === previousId).forEach(u => { u.speaker = id; });
+  }
+
+  // Adds the transfer made under a queue request, or updates the fields given for one already made
+  function setTransfer(roomId, requestId, fields) {
+    const record = start(roomId);
+    let transfer = record.transfers.find(t => t.requestId === requestId);
+    if (!transfer) {
+      transfer = { requestId, requestedAt: new Date().toISOString(), outcome: 'pending' };
+      record.transfers.push(transfer);
+    }
+    Object.assign(transfer, fields);
+    return transfer;
+  }
+
+  function addUtterance(roomId, { speaker, original, language, timestamp }) {
+    const record = start(roomId);
+    const participant = record.participants.find(p => p.id === speaker) || {};
+    const utterance = {
+      id: record.utterances.length + 1,
+      speaker,
+      role: participant.role || 'guest',
+      email: participant.email || null,
+      language: language || participant.language || null,
+      original,
+      translation: null,
+      translations: [],
+      timestamp: validTime(timestamp).toISOString()
+    };
+    record.utterances.push(utterance);
+    return utterance;
+  }
+
+  function setSummary(roomId, summary) {
+    const record = live.get(roomId);
+    if (record) record.summary = summary;
+  }
+
+  function save(roomId) {
+    const record = live.get(roomId);
+    if (!record?.utterances.length) return null;
+
+    fs.mkdirSync(dirPath, { recursive: true });
+    const filePath = fileFor(record);
+    try {
+      fs.writeFileSync(filePath, JSON.stringify(record, null, 2), 'utf8');
+      console.log(`📄 Transcript saved to: ${filePath}`);
+      return filePath;
+    } catch (error) {
+      console.error(`📄 Error saving transcript for room ${roomId}:`, error);
+      return null;
+    }
+  }
+
+  // Saves and forgets a finished call
+  function end(roomId) {
+    const record = live.get(roomId);
+    if (!record) return null;
+    record.endedAt = new Date().toISOString();
+    record.participants.forEach(p => { if (!p.leftAt) p.leftAt = record.endedAt; });
+    const filePath = save(roomId);
+    live.delete(roomId);
+    return filePath;
+  }
+
+  // The live record, or the most recently started saved one for the room
+  function find(roomId) {
+    if (live.has(roomId)) return live.get(roomId);
+    if (!fs.existsSync(dirPath)) return null;
+
+    const prefix = `${safeName(roomId)}-`;
+    const latest = fs.readdirSync(dirPath)
+      .filter(name => name.startsWith(prefix) && /^\d+\.json$/.test(name.slice(prefix.length)))
+      .sort((a, b) => parseInt(b.slice(prefix.length)) - parseInt(a.slice(prefix.length)))[0];
+    if (!latest) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(path.join(dirPath, latest), 'utf8'));
+    } catch (error) {
+      console.error(`📄 Error reading transcript ${latest}:`, error);
+      return null;
+    }
+  }
+
+  return { start, get, entries, setParticipant, renameParticipant, setTransfer, addUtterance, setSummary, save, end, find };
+}
+
+module.exports = { createTranscriptStore, translationsOf, addTranslation };
@@ -0,0 +1,98 @@
+// LRU cache for translation results, optionally persisted to disk
+const fs = require('fs');
+const path = require('path');
+
+// Canonical composition and collapsed whitespace only: case and combining marks carry meaning
+// (Indic viramas, "Polish" vs "polish") so they are kept
+function normalizeKeyText(text) {
+  return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+function createTranslationCache({ maxEntries = 1000, filePath = null, normalize = normalizeKeyText }) {
+  // Map iteration order doubles as recency order: oldest first
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+  let dirty = false;
+  // Fingerprint of the dictionary the cached results were produced with
+  let version = null;
+
+  // `scope` separates results produced with different glossaries, e.g. "it-helpdesk,hr"
+  function keyFor(text, sourceLang, targetLang, scope) {
+    const key = `${sourceLang}|${targetLang}|${normalize(text)}`;
+    return scope ? `${scope}|${key}` : key;
+  }
+
+  function get(text, sourceLang, targetLang, scope = '') {
+    const key = keyFor(text, sourceLang, targetLang, scope);
+    if (!entries.has(key)) {
+      stats.misses++;
+      return null;
+    }
+    const value = entries.get(key);
+    entries.delete(key);
+    entries.set(key, value);
+    stats.hits++;
+    return value;
+  }
+
+  function set(text, sourceLang, targetLang, value, scope = '') {
+    const key = keyFor(text, sourceLang, targetLang, scope);
+    entries.delete(key);
+    entries.set(key, value);
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      stats.evictions++;
+    }
+    dirty = true;
+  }
+
+  function invalidate(newVersion = null) {
+    version = newVersion;
+    if (entries.size > 0) {
+      entries.clear();
+      stats.invalidations++;
+    }
+    dirty = true;
+  }
+
+  function load() {
+    if (!filePath || !fs.existsSync(filePath)) return;
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (saved.version !== version) {
+        console.log('🗃️  Discarding persisted translation cache: dictionary has changed');
+        return;
+      }
+      saved.entries.slice(-maxEntries).forEach(([key, value]) => entries.set(key, value));
+      console.log(`🗃️  Loaded ${entries.size} cached translations`);
+    } catch (error) {
+      console.error('🗃️  Error loading translation cache:', error);
+    }
+  }
+
+  function save() {
+    if (!filePath || !dirty) return;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify({ version, entries: Array.from(entries.entries()) }), 'utf8');
+      dirty = false;
+    } catch (error) {
+      console.error('🗃️  Error saving translation cache:', error);
+    }
+  }
+
+  function status() {
+    const lookups = stats.hits + stats.misses;
+    return {
+      size: entries.size,
+      maxEntries,
+      persisted: !!filePath,
+      ...stats,
+      hitRate: lookups ? +(stats.hits / lookups).toFixed(3) : 0
+    };
+  }
+
+  return { get, set, invalidate, load, save, status };
+}
+
+module.exports = { createTranslationCache, normalizeKeyText };
@@ -0,0 +1,242 @@
+// Translation quality metrics - BLEU, chrF and TER, following sacrebleu's defaults
+//
+// Sentence scores come from one hypothesis/reference pair; corpus scores sum the
+// underlying statistics over all pairs first, which is not the same as averaging
+// sentence scores. All scores are 0-100; BLEU and chrF are higher-is-better, TER lower.
+
+const BLEU_MAX_ORDER = 4;
+const CHRF_CHAR_ORDER = 6;
+const CHRF_BETA = 2;
+const TER_MAX_SHIFT_SIZE = 10;
+// Shift search grows with both sentence lengths; when either side is longer, or a pass has
+// tried this many moves, the score rests on the edits found so far
+const TER_MAX_SHIFT_WORDS = 50;
+const TER_MAX_SHIFT_CANDIDATES = 1000;
+// Edit distance is still quadratic, so texts longer than this are not scored at all
+const MAX_SCORED_WORDS = 200;
+
+// 13a-style tokenization: punctuation and symbols split off, for any script
+function tokenize(text) {
+  return String(text || '')
+    .normalize('NFC')
+    .replace(/([\p{P}\p{S}])/gu, ' $1 ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function ngramCounts(items, n) {
+  const counts = new Map();
+  for (let i = 0; i + n <= items.length; i++) {
+    const key = items.slice(i, i + n).join('\u0001');
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+function matchCount(hypCounts, refCounts) {
+  let matches = 0;
+  hypCounts.forEach((count, key) => { matches += Math.min(count, refCounts.get(key) || 0); });
+  return matches;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// ---- BLEU ----
+
+function bleuStats(hypothesis, reference) {
+  const hyp = tokenize(hypothesis);
+  const ref = tokenize(reference);
+  const stats = { matches: [], totals: [], hypLength: hyp.length, refLength: ref.length };
+  for (let n = 1; n <= BLEU_MAX_ORDER; n++) {
+    stats.matches.push(matchCount(ngramCounts(hyp, n), ngramCounts(ref, n)));
+    stats.totals.push(Math.max(hyp.length - n + 1, 0));
+  }
+  return stats;
+}
+
+// "exp" smoothing: each order with no matches gets 1 / (2^k * total).
+// With `effectiveOrder` (sentence scores), orders longer than the hypothesis are left out
+// instead of zeroing the score, so two-word utterances still get a meaningful BLEU.
+function bleuFromStats({ matches, totals, hypLength, refLength }, effectiveOrder = false) {
+  if (hypLength === 0) return 0;
+  let smoothing = 1;
+  let logPrecisionSum = 0;
+  let orders = 0;
+  for (let n = 0; n < BLEU_MAX_ORDER; n++) {
+    if (totals[n] === 0) {
+      if (effectiveOrder) continue;
+      return 0;
+    }
+    let precision = matches[n] / totals[n];
+    if (matches[n] === 0) {
+      smoothing *= 2;
+      precision = 1 / (smoothing * totals[n]);
+    }
+    logPrecisionSum += Math.log(precision);
+    orders++;
+  }
+  const brevityPenalty = hypLength < refLength ? Math.exp(1 - refLength / hypLength) : 1;
+  return 100 * brevityPenalty * Math.exp(logPrecisionSum / orders);
+}
+
+// ---- chrF ----
+
+function chrfStats(hypothesis, reference) {
+  const hyp = Array.from(String(hypothesis || '').normalize('NFC').replace(/\s+/g, ''));
+  const ref = Array.from(String(reference || '').normalize('NFC').replace(/\s+/g, ''));
+  const stats = [];
+  for (let n = 1; n <= CHRF_CHAR_ORDER; n++) {
+    const hypCounts = ngramCounts(hyp, n);
+    const refCounts = ngramCounts(ref, n);
+    stats.push({
+      hyp: Math.max(hyp.length - n + 1, 0),
+      ref: Math.max(ref.length - n + 1, 0),
+      match: matchCount(hypCounts, refCounts)
+    });
+  }
+  return stats;
+}
+
+// Precision and recall are averaged over the character orders both sides are long enough for,
+// then combined into one F-beta - sacrebleu's chrF, not a mean of per-order F-scores
+function chrfFromStats(stats) {
+  const factor = CHRF_BETA ** 2;
+  // sacrebleu's stand-in for an undefined precision or recall
+  const eps = 1e-16;
+  let precisionSum = 0;
+  let recallSum = 0;
+  let effectiveOrder = 0;
+  stats.forEach(({ hyp, ref, match }) => {
+    precisionSum += hyp > 0 ? match / hyp : eps;
+    recallSum += ref > 0 ? match / ref : eps;
+    if (hyp > 0 && ref > 0) effectiveOrder++;
+  });
+  if (effectiveOrder === 0) return 0;
+  const precision = precisionSum / effectiveOrder;
+  const recall = recallSum / effectiveOrder;
+  const denominator = factor * precision + recall;
+  return denominator > 0 ? 100 * (1 + factor) * precision * recall / denominator : 0;
+}
+
+// ---- TER ----
+
+function editDistance(hyp, ref) {
+  let previous = Array.from({ length: ref.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= hyp.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= ref.length; j++) {
+      row[j] = Math.min(
+        previous[j] + 1,
+        row[j - 1] + 1,
+        previous[j - 1] + (hyp[i - 1] === ref[j - 1] ? 0 : 1)
+      );
+    }
+    previous = row;
+  }
+  return previous[ref.length];
+}
+
+function phraseAt(words, start, phrase) {
+  for (let k = 0; k < phrase.length; k++) {
+    if (words[start + k] !== phrase[k]) return false;
+  }
+  return true;
+}
+
+// Greedy block shifts as in tercom: repeatedly move the hypothesis phrase that lowers
+// the edit distance the most, to a spot where it lines up with the reference.
+// Each shift costs one edit.
+function terStats(hypothesis, reference) {
+  let words = tokenize(hypothesis);
+  const ref = tokenize(reference);
+  let distance = editDistance(words, ref);
+  let shifts = 0;
+
+  while (distance > 0 && words.length <= TER_MAX_SHIFT_WORDS && ref.length <= TER_MAX_SHIFT_WORDS) {
+    let best = null;
+    let candidates = 0;
+    for (let size = 1; size <= Math.min(TER_MAX_SHIFT_SIZE, words.length); size++) {
+      for (let start = 0; start + size <= words.length; start++) {
+        const phrase = words.slice(start, start + size);
+        const rest = [...words.slice(0, start), ...words.slice(start + size)];
+        for (let k = 0; k + size <= ref.length; k++) {
+          if (!phraseAt(ref, k, phrase)) continue;
+          // Line the phrase up with the reference position, or right after the word that precedes it there
+          const targets = new Set([Math.min(k, rest.length)]);
+          rest.forEach((word, p) => { if (k > 0 && word === ref[k - 1]) targets.add(p + 1); });
+          targets.forEach(position => {
+            if (position === start || candidates >= TER_MAX_SHIFT_CANDIDATES) return;
+            candidates++;
+            const moved = [...rest.slice(0, position), ...phrase, ...rest.slice(position)];
+            const movedDistance = editDistance(moved, ref);
+            if (movedDistance + 1 < distance && (!best || movedDistance < best.distance)) {
+              best = { words: moved, distance: movedDistance };
+            }
+          });
+        }
+      }
+    }
+    if (!best) break;
+    words = best.words;
+    distance = best.distance;
+    shifts++;
+  }
+
+  return { edits: distance + shifts, refLength: ref.length };
+}
+
+function terFromStats({ edits, refLength }) {
+  if (refLength === 0) return edits > 0 ? 100 : 0;
+  return 100 * edits / refLength;
+}
+
+// ---- Public API ----
+
+function isScorable(text) {
+  return tokenize(text).length <= MAX_SCORED_WORDS;
+}
+
+function scoreSentence(hypothesis, reference) {
+  return {
+    bleu: round(bleuFromStats(bleuStats(hypothesis, reference), true)),
+    chrf: round(chrfFromStats(chrfStats(hypothesis, reference))),
+    ter: round(terFromStats(terStats(hypothesis, reference)))
+  };
+}
+
+function scoreCorpus(pairs) {
+  const bleu = { matches: Array(BLEU_MAX_ORDER).fill(0), totals: Array(BLEU_MAX_ORDER).fill(0), hypLength: 0, refLength: 0 };
+  const chrf = Array.from({ length: CHRF_CHAR_ORDER }, () => ({ hyp: 0, ref: 0, match: 0 }));
+  const ter = { edits: 0, refLength: 0 };
+
+  pairs.forEach(({ hypothesis, reference }) => {
+    const b = bleuStats(hypothesis, reference);
+    for (let n = 0; n < BLEU_MAX_ORDER; n++) {
+      bleu.matches[n] += b.matches[n];
+      bleu.totals[n] += b.totals[n];
+    }
+    bleu.hypLength += b.hypLength;
+    bleu.refLength += b.refLength;
+
+    chrfStats(hypothesis, reference).forEach((c, n) => {
+      chrf[n].hyp += c.hyp;
+      chrf[n].ref += c.ref;
+      chrf[n].match += c.match;
+    });
+
+    const t = terStats(hypothesis, reference);
+    ter.edits += t.edits;
+    ter.refLength += t.refLength;
+  });
+
+  return {
+    count: pairs.length,
+    bleu: round(bleuFromStats(bleu)),
+    chrf: round(chrfFromStats(chrf)),
+    ter: round(terFromStats(ter))
+  };
+}
+
+module.exports = { scoreSentence, scoreCorpus, tokenize, isScorable, MAX_SCORED_WORDS };
@@ -0,0 +1,60 @@
+// Google Cloud Translate (v2 API) provider
+const { Translate } = require('@google-cloud/translate').v2;
+
+function createGoogleProvider({ projectId, keyFilename, apiKey }) {
+  const enabled = !!(projectId || keyFilename || apiKey || process.env.GOOGLE_APPLICATION_CREDENTIALS);
+  const client = enabled ? new Translate({ projectId, keyFilename, key: apiKey }) : null;
+  let healthy = false;
+
+  async function checkHealth() {
+    if (!client) {
+      healthy = false;
+      return false;
+    }
+
+    try {
+      await client.getLanguages('en');
+      healthy = true;
+    } catch (error) {
+      console.error('🌐 Google Translate health check failed:', error.message);
+      healthy = false;
+    }
+    return healthy;
+  }
+
+  async function translate(text, sourceLang, targetLang) {
+    if (!client) {
+      throw new Error('Google Translate is not configured');
+    }
+
+    const startTime = Date.now();
+    const options = { to: targetLang };
+    if (sourceLang && sourceLang !== 'auto') options.from = sourceLang;
+
+    try {
+      const [translatedText] = await client.translate(text, options);
+      const durationMs = Date.now() - startTime;
+
+      console.log(`🌐 Translation completed: ${sourceLang} -> ${targetLang}, duration: ${durationMs}ms`);
+
+      return {
+        translatedText,
+        durationMs,
+        sentenceCount: (text.match(/[.!?।]+(\s|$)/g) || []).length || 1
+      };
+    } catch (error) {
+      console.error('🌐 Google Translate error:', error.message);
+      throw error;
+    }
+  }
+
+  return {
+    name: 'google',
+    isHealthy: () => healthy,
+    markUnhealthy: () => { healthy = false; },
+    checkHealth,
+    translate
+  };
+}
+
+module.exports = { createGoogleProvider };
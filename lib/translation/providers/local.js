@@ -0,0 +1,122 @@
+// In-process ONNX translation provider (MarianMT / NLLB via @xenova/transformers)
+//
+// Models are loaded from disk only, so this provider works without network
+// access. `models` maps a "source-target" pair (or "*") to a model directory
+// under `modelPath`, e.g. { "hi-en": "opus-mt-hi-en", "*": "nllb-200-distilled-600M" }.
+const fs = require('fs');
+const path = require('path');
+
+// FLORES-200 codes used by NLLB checkpoints, unless the language registry supplies its own
+const NLLB_LANGUAGE_CODES = {
+  en: 'eng_Latn',
+  hi: 'hin_Deva',
+  fr: 'fra_Latn',
+  es: 'spa_Latn',
+  de: 'deu_Latn'
+};
+
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?।])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+function createLocalProvider({ modelPath, models = {}, quantized = true, languageCodes = NLLB_LANGUAGE_CODES }) {
+  const pipelines = new Map();
+  let transformers = null;
+  let healthy = false;
+
+  function resolveModel(sourceLang, targetLang) {
+    return models[`${sourceLang}-${targetLang}`] || models['*'] || null;
+  }
+
+  async function loadTransformers() {
+    if (!transformers) {
+      transformers = await import('@xenova/transformers');
+      transformers.env.localModelPath = modelPath;
+      transformers.env.allowLocalModels = true;
+      transformers.env.allowRemoteModels = false;
+    }
+    return transformers;
+  }
+
+  async function getPipeline(modelName) {
+    if (!pipelines.has(modelName)) {
+      // Cache the promise so concurrent first requests share one load
+      const loading = loadTransformers()
+        .then(({ pipeline }) => pipeline('translation', modelName, { quantized }))
+        .then(translator => {
+          console.log(`🧠 Loaded local translation model: ${modelName}`);
+          return translator;
+        })
+        .catch(error => {
+          pipelines.delete(modelName);
+          throw error;
+        });
+      pipelines.set(modelName, loading);
+    }
+    return pipelines.get(modelName);
+  }
+
+  async function checkHealth() {
+    const configured = Object.values(models);
+    healthy = configured.length > 0 &&
+      configured.some(name => fs.existsSync(path.join(modelPath, name, 'config.json')));
+    return healthy;
+  }
+
+  async function translate(text, sourceLang, targetLang) {
+    const modelName = resolveModel(sourceLang, targetLang);
+    if (!modelName) {
+      throw new Error(`Translation failed: no local model configured for ${sourceLang} -> ${targetLang}`);
+    }
+
+    const startTime = Date.now();
+    const translator = await getPipeline(modelName);
+
+    const options = {};
+    if (/nllb|m2m/i.test(modelName)) {
+      options.src_lang = languageCodes[sourceLang];
+      options.tgt_lang = languageCodes[targetLang];
+      if (!options.src_lang || !options.tgt_lang) {
+        throw new Error(`Translation failed: ${sourceLang} -> ${targetLang} is not supported by ${modelName}`);
+      }
+    }
+
+    const sentences = splitSentences(text);
+    const output = [];
+    for (const sentence of sentences) {
+      const [result] = await translator(sentence, options);
+      output.push(result.translation_text);
+    }
+
+    const durationMs = Date.now() - startTime;
+    console.log(`🧠 Translation completed: ${sourceLang} -> ${targetLang}, duration: ${durationMs}ms`);
+
+    return {
+      translatedText: output.join(' '),
+      durationMs,
+      sentenceCount: sentences.length
+    };
+  }
+
+  async function preload() {
+    for (const modelName of new Set(Object.values(models))) {
+      await getPipeline(modelName).catch(error =>
+        console.error(`🧠 Failed to preload local model ${modelName}:`, error.message)
+      );
+    }
+  }
+
+  return {
+    name: 'local',
+    isHealthy: () => healthy,
+    markUnhealthy: () => { healthy = false; },
+    checkHealth,
+    translate,
+    preload
+  };
+}
+
+module.exports = { createLocalProvider, NLLB_LANGUAGE_CODES };
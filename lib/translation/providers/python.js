@@ -0,0 +1,83 @@
+// Python NLLB microservice provider
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+function createPythonProvider({ url, timeout }) {
+  let healthy = false;
+
+  async function checkHealth() {
+    try {
+      const response = await fetch(`${url}/health`, {
+        method: 'GET',
+        signal: AbortSignal.timeout(5000)
+      });
+
+      if (response.ok) {
+        const health = await response.json();
+        healthy = !!health.model_loaded;
+        console.log(`🐍 Python service health: ${healthy ? 'healthy' : 'unhealthy'}`);
+        return healthy;
+      }
+
+      healthy = false;
+      return false;
+
+    } catch (error) {
+      console.error('🐍 Python service health check failed:', error.message);
+      healthy = false;
+      return false;
+    }
+  }
+
+  async function translate(text, sourceLang, targetLang) {
+    try {
+      const startTime = Date.now();
+
+      const response = await fetch(`${url}/translate`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          text: text,
+          source_lang: sourceLang,
+          target_lang: targetLang
+        }),
+        signal: AbortSignal.timeout(timeout)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ detail: 'Unknown error' }));
+        throw new Error(`Translation failed: ${errorData.detail || response.statusText}`);
+      }
+
+      const result = await response.json();
+      const durationMs = Date.now() - startTime;
+
+      console.log(`🐍 Translation completed: ${sourceLang} -> ${targetLang}, duration: ${durationMs}ms`);
+
+      return {
+        translatedText: result.translated_text,
+        durationMs: durationMs,
+        sentenceCount: result.sentence_count || 1
+      };
+
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        error.message = `Python service timeout after ${timeout}ms`;
+      }
+      console.error('🐍 Python service translation error:', error.message);
+      throw error;
+    }
+  }
+
+  return {
+    name: 'python',
+    url,
+    isHealthy: () => healthy,
+    markUnhealthy: () => { healthy = false; },
+    checkHealth,
+    translate
+  };
+}
+
+module.exports = { createPythonProvider };
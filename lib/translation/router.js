@@ -0,0 +1,105 @@
+// Translation provider router with per-language-pair priority and failover
+//
+// Routes map a "source-target" pair (or "source-*", "*-target", "*") to an
+// ordered list of provider names, e.g. { "hi-en": ["python", "google"], "*": ["python"] }.
+
+class NoProviderError extends Error {
+  constructor(message, attempts = []) {
+    super(message);
+    this.name = 'NoProviderError';
+    this.attempts = attempts;
+  }
+}
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timeout after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function createTranslationRouter({ providers = [], routes = {}, defaultOrder, timeout = 30000 }) {
+  const registry = new Map();
+  const stats = {};
+
+  function register(provider) {
+    registry.set(provider.name, provider);
+    stats[provider.name] = stats[provider.name] || { success: 0, failure: 0, lastError: null, lastUsed: null };
+  }
+
+  providers.forEach(register);
+
+  function getProvider(name) {
+    return registry.get(name);
+  }
+
+  function resolveOrder(sourceLang, targetLang) {
+    const keys = [`${sourceLang}-${targetLang}`, `${sourceLang}-*`, `*-${targetLang}`, '*'];
+    const route = keys.map(key => routes[key]).find(Array.isArray);
+    const order = route || defaultOrder || Array.from(registry.keys());
+    return order.filter(name => registry.has(name));
+  }
+
+  async function checkAll() {
+    const results = {};
+    await Promise.all(Array.from(registry.values()).map(async (provider) => {
+      results[provider.name] = await provider.checkHealth().catch(() => false);
+    }));
+    return results;
+  }
+
+  // `providers` pins the attempt order, e.g. to compare backends, instead of the configured route
+  async function translate(text, sourceLang, targetLang, { providers } = {}) {
+    const order = providers
+      ? providers.filter(name => registry.has(name))
+      : resolveOrder(sourceLang, targetLang);
+    if (order.length === 0) {
+      throw new NoProviderError(`No translation provider configured for ${sourceLang} -> ${targetLang}`);
+    }
+
+    // Prefer providers that currently pass their health check; only re-probe
+    // the unhealthy ones if nothing healthy is left.
+    let candidates = order.filter(name => registry.get(name).isHealthy());
+    if (candidates.length === 0) {
+      for (const name of order) {
+        if (await registry.get(name).checkHealth().catch(() => false)) candidates.push(name);
+      }
+    }
+
+    const attempts = [];
+    for (const name of candidates) {
+      const provider = registry.get(name);
+      try {
+        const result = await withTimeout(provider.translate(text, sourceLang, targetLang), timeout, name);
+        stats[name].success++;
+        stats[name].lastUsed = new Date().toISOString();
+        if (attempts.length > 0) {
+          console.log(`🔀 Failed over to ${name} for ${sourceLang} -> ${targetLang} after: ${attempts.map(a => a.provider).join(', ')}`);
+        }
+        return { ...result, provider: name };
+      } catch (error) {
+        stats[name].failure++;
+        stats[name].lastError = error.message;
+        provider.markUnhealthy();
+        attempts.push({ provider: name, error: error.message });
+        console.error(`🔀 Provider ${name} failed for ${sourceLang} -> ${targetLang}: ${error.message}`);
+      }
+    }
+
+    const lastError = attempts.length ? attempts[attempts.length - 1].error : 'no healthy provider';
+    throw new NoProviderError(`Translation service unavailable - ${lastError}`, attempts);
+  }
+
+  function status() {
+    return Array.from(registry.values()).map(provider => ({
+      name: provider.name,
+      healthy: provider.isHealthy(),
+      ...stats[provider.name]
+    }));
+  }
+
+  return { register, getProvider, resolveOrder, checkAll, translate, status };
+}
+
+module.exports = { createTranslationRouter, NoProviderError };
@@ -0,0 +1,87 @@
+// Glossary term protection - swaps protected terms for placeholders before translation
+// and restores them with the glossary's target-language rendering afterwards
+//
+// Each entry maps language codes to renderings, e.g. { en: 'myUniHub', hi: 'myUniHub', protected: true },
+// optionally with spelling variants per language, e.g. { variants: { hi: ['मायूनिहब'] } }.
+// Only entries marked `protected` are swapped out, matched with their exact case; the rest
+// of the dictionary corrects the model's output instead. When an entry has no rendering for
+// the target language its English form is used.
+
+const PLACEHOLDER_PATTERN = /(?:⟦|\[\[)\s*(\d+)\s*(?:⟧|\]\])/g;
+// Shorter terms are too often part of ordinary sentences
+const MIN_TERM_LENGTH = 3;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Word boundaries that also work for Devanagari and accented scripts, where \b does not
+function termRegExp(term, flags = 'giu') {
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{M}\\p{N}])`, flags);
+}
+
+// Source-side phrase rewrites - folds spelling variants onto the entry's canonical
+// rendering (e.g. कम्प्यूटर -> कंप्यूटर) so protection and the model only see one form
+function rewritePhrases(text, { sourceLang, entries }) {
+  const rewrites = entries
+    .flatMap(entry => {
+      const canonical = (entry[sourceLang] || entry.en || '').trim();
+      return (entry.variants?.[sourceLang] || []).map(variant => ({ variant: variant.trim(), canonical }));
+    })
+    .filter(({ variant, canonical }) => variant && canonical && variant !== canonical)
+    .sort((a, b) => b.variant.length - a.variant.length);
+
+  let rewritten = text;
+  let count = 0;
+  for (const { variant, canonical } of rewrites) {
+    if (!rewritten.toLowerCase().includes(variant.toLowerCase())) continue;
+    rewritten = rewritten.replace(termRegExp(variant), () => {
+      count++;
+      return canonical;
+    });
+  }
+  return { text: rewritten, count };
+}
+
+function protectTerms(text, { sourceLang, targetLang, entries }) {
+  const candidates = entries
+    .filter(entry => entry.protected === true)
+    .map(entry => ({
+      term: entry[sourceLang]?.trim(),
+      replacement: (entry[targetLang] || entry.en || '').trim()
+    }))
+    .filter(({ term, replacement }) => term && term.length >= MIN_TERM_LENGTH && replacement)
+    // Longest first so "password reset" wins over "password"
+    .sort((a, b) => b.term.length - a.term.length);
+
+  const placeholders = [];
+  let protectedText = text;
+  for (const { term, replacement } of candidates) {
+    // Cheap substring check first - compiling a Unicode regex for every entry is slow
+    if (!text.includes(term)) continue;
+    const regex = termRegExp(term, 'gu');
+    if (!regex.test(protectedText)) continue;
+    protectedText = protectedText.replace(regex, () => {
+      const token = `⟦${placeholders.length}⟧`;
+      placeholders.push({ token, term, replacement });
+      return token;
+    });
+  }
+
+  return { text: protectedText, placeholders };
+}
+
+// Returns the restored text and the placeholders the translation backend dropped
+function restoreTerms(text, placeholders) {
+  const found = new Set();
+  const restored = text.replace(PLACEHOLDER_PATTERN, (match, index) => {
+    const placeholder = placeholders[Number(index)];
+    if (!placeholder) return match;
+    found.add(Number(index));
+    return placeholder.replacement;
+  });
+  const missing = placeholders.filter((_, index) => !found.has(index));
+  return { text: restored, missing };
+}
+
+module.exports = { rewritePhrases, protectTerms, restoreTerms };
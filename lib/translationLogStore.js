@@ -0,0 +1,173 @@
+// Append-only translation log store - one JSON object per line, a file per day,
+// split into numbered segments once a file reaches its size cap
+const fs = require('fs');
+const path = require('path');
+const { parseBound, pageNewestFirst } = require('./jsonlLog');
+
+const FILE_PATTERN = /^translations-(\d{8})(?:\.(\d+))?\.jsonl$/;
+// Per-room JSON arrays written before this store existed
+const LEGACY_ROOM_FILE_PATTERN = /^(.+)-\d{8}\.json$/;
+// A query stops once this many entries matched, newest first; narrower filters reach further back
+const MAX_QUERY_MATCHES = 10000;
+
+function dayStamp(date) {
+  return new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function createTranslationLogStore({
+  dirPath,
+  maxFileBytes = 20 * 1024 * 1024,
+  maxTotalBytes = 500 * 1024 * 1024,
+  retentionDays = 90,
+  legacyFile = null
+}) {
+  let current = null; // { day, segment, filePath, size }
+  let legacyCache = null; // { signature, entries }
+
+  function listFiles() {
+    if (!fs.existsSync(dirPath)) return [];
+    return fs.readdirSync(dirPath)
+      .map(name => {
+        const match = name.match(FILE_PATTERN);
+        if (!match) return null;
+        const filePath = path.join(dirPath, name);
+        return { name, filePath, day: match[1], segment: parseInt(match[2] || '0'), size: fs.statSync(filePath).size };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.day.localeCompare(b.day) || a.segment - b.segment);
+  }
+
+  function fileName(day, segment) {
+    return segment ? `translations-${day}.${segment}.jsonl` : `translations-${day}.jsonl`;
+  }
+
+  // Drops whole files, oldest first, past the retention window or the total size cap
+  function enforceLimits() {
+    const files = listFiles();
+    const cutoff = dayStamp(new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000));
+    let total = files.reduce((sum, file) => sum + file.size, 0);
+    for (const file of files) {
+      if (file.filePath === current?.filePath) break;
+      if (file.day >= cutoff && total <= maxTotalBytes) break;
+      try {
+        fs.unlinkSync(file.filePath);
+        total -= file.size;
+        console.log(`📝 Removed old translation log ${file.name}`);
+      } catch (error) {
+        console.error(`📝 Error removing translation log ${file.name}:`, error);
+      }
+    }
+  }
+
+  function target(lineBytes) {
+    const day = dayStamp(new Date());
+    if (!current || current.day !== day) {
+      const latest = listFiles().filter(file => file.day === day).pop();
+      current = latest
+        ? { day, segment: latest.segment, filePath: latest.filePath, size: latest.size }
+        : { day, segment: 0, filePath: path.join(dirPath, fileName(day, 0)), size: 0 };
+      enforceLimits();
+    }
+    if (current.size > 0 && current.size + lineBytes > maxFileBytes) {
+      const segment = current.segment + 1;
+      current = { day, segment, filePath: path.join(dirPath, fileName(day, segment)), size: 0 };
+      enforceLimits();
+    }
+    return current;
+  }
+
+  function append(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    const bytes = Buffer.byteLength(line);
+    try {
+      fs.mkdirSync(dirPath, { recursive: true });
+      const file = target(bytes);
+      fs.appendFileSync(file.filePath, line, 'utf8');
+      file.size += bytes;
+    } catch (error) {
+      console.error('📝 Error writing translation log:', error);
+    }
+  }
+
+  function readLegacyFile(filePath) {
+    try {
+      const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      console.error(`📝 Error reading legacy translation log ${path.basename(filePath)}:`, error);
+      return [];
+    }
+  }
+
+  // Entries from before this store, oldest first: the per-room files, which name the room,
+  // and the old translation_logs.json, which repeats them without it. Read-only, re-read only when they change.
+  function legacyEntries() {
+    const roomFiles = fs.existsSync(dirPath)
+      ? fs.readdirSync(dirPath)
+        .map(name => ({ match: name.match(LEGACY_ROOM_FILE_PATTERN), filePath: path.join(dirPath, name) }))
+        .filter(file => file.match)
+      : [];
+    const files = [...roomFiles.map(file => file.filePath), legacyFile].filter(file => file && fs.existsSync(file));
+    const signature = files.map(file => `${file}:${fs.statSync(file).mtimeMs}`).join('|');
+
+    if (legacyCache?.signature !== signature) {
+      const keyOf = entry => `${entry.timestamp}|${entry.input}`;
+      const roomEntries = roomFiles.flatMap(file =>
+        readLegacyFile(file.filePath).map(entry => ({ ...entry, roomId: entry.roomId || file.match[1] })));
+      const known = new Set(roomEntries.map(keyOf));
+      const mainEntries = legacyFile && fs.existsSync(legacyFile)
+        ? readLegacyFile(legacyFile).filter(entry => !known.has(keyOf(entry)))
+        : [];
+      const entries = [...roomEntries, ...mainEntries]
+        .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+      legacyCache = { signature, entries };
+    }
+    return legacyCache.entries;
+  }
+
+  // Newest first. Filters: from/to (date or ISO timestamp), roomId, source, target,
+  // pair ("hi-en"), minDurationMs. Files are streamed newest first and only the requested
+  // page is kept; past MAX_QUERY_MATCHES matches the scan stops and `truncated` is set.
+  async function query({ from, to, roomId, source, target: targetLang, pair, minDurationMs, page = 1, pageSize = 100 } = {}) {
+    const fromTime = parseBound(from, false);
+    const toTime = parseBound(to, true);
+    const [pairSource, pairTarget] = pair ? String(pair).split('-') : [];
+    const sl = source || pairSource;
+    const tl = targetLang || pairTarget;
+    const minDuration = parseFloat(minDurationMs);
+    const size = Math.min(Math.max(parseInt(pageSize) || 100, 1), 1000);
+
+    const inRange = file =>
+      (fromTime === null || file.day >= dayStamp(fromTime)) && (toTime === null || file.day <= dayStamp(toTime));
+    const languageOf = value => String(value || '').split('-')[0];
+
+    const matches = entry => {
+      const time = Date.parse(entry.timestamp);
+      if (fromTime !== null && !(time >= fromTime)) return false;
+      if (toTime !== null && !(time <= toTime)) return false;
+      if (roomId && entry.roomId !== roomId) return false;
+      if (sl && languageOf(entry.source) !== sl) return false;
+      if (tl && languageOf(entry.target) !== tl) return false;
+      if (!isNaN(minDuration) && !(entry.durationMs >= minDuration)) return false;
+      return true;
+    };
+
+    const sources = [legacyEntries(), ...listFiles().filter(inRange).map(file => file.filePath)];
+    return pageNewestFirst(sources, matches, { page, pageSize: size, maxMatches: MAX_QUERY_MATCHES });
+  }
+
+  function status() {
+    const files = listFiles();
+    return {
+      files: files.length,
+      totalBytes: files.reduce((sum, file) => sum + file.size, 0),
+      maxFileBytes,
+      maxTotalBytes,
+      retentionDays
+    };
+  }
+
+  return { append, query, enforceLimits, status };
+}
+
+module.exports = { createTranslationLogStore };
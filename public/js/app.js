@@ -5,9 +5,11 @@ import { generateRoomId } from './utils.js';
 import { setupAudioVisualization, setupRemoteAudioVisualization, visualizeAudio, averageVolume, startLocalStream as audioStartLocalStream } from './audio.js';
 import { playTranslatedAudio } from './tts.js';
 import { setupSpeechRecognition } from './speech.js';
-import { createPeerConnection, createOffer, closePeerConnection, hangup as webrtcHangup } from './webrtc.js';
+import { hangup as webrtcHangup } from './webrtc.js';
 import { setupEventHandlers } from './events.js';
-import { setupSocketHandlers } from './sockets.js';
+import { setupSocketHandlers, RESUME_KEY } from './sockets.js';
+import { setupTransfer } from './transfer.js';
+import { loadLanguages, populateLanguageSelect, populateQuickConnectButtons } from './languages.js';
 
 // DOM references
 const roomIdInput = document.getElementById('room-id');
@@ -29,7 +31,6 @@ const activeMeetingsDiv = document.getElementById('active-meetings');
 
 // App state
 let localStream = null;
-let peerConnection = null;
 let roomId = null;
 let isMuted = false;
 let isInitiator = false;
@@ -39,8 +40,9 @@ let localAnalyser = null;
 let remoteAnalyser = null;
 let lastLocalTranscript = null;
 
-// Socket setup
-const socket = io();
+// Socket setup - the session cookie tells the server who is connecting. The page's own
+// socket is reused so availability and queue offers arrive on the same connection.
+const socket = window.socket || io();
 
 // State setters/getters for modular handlers
 function setIsInitiator(val) { isInitiator = val; window.isInitiator = val; }
@@ -55,25 +57,48 @@ setupEventHandlers({
   createBtn, joinBtn, muteBtn, hangupBtn, languageSelect, roomTypeSelect, roomIdInput, socket,
   generateRoomId, isInitiator, setIsInitiator, setRoomId, setLanguageDisabled,
   startLocalStream, hangup, switchToSetupPanel, isMuted, setMuted,
-  getLocalStream: () => localStream
+  getLocalStream: () => localStream, getRoomId
 });
 
 // Modular socket handlers
 setupSocketHandlers({
   socket, isInitiator, setIsInitiator, setRoomId, setLanguageDisabled, languageSelect, recognition, lastLocalTranscript,
   displayTranscript, displayLocalTranslation, displayRemoteTranslation, playTranslatedAudio,
-  updateActiveMeetings, activeMeetingsDiv, startLocalStream, createOffer, peerConnection,
+  updateActiveMeetings, activeMeetingsDiv, startLocalStream,
   peerConfig: { iceServers: [{ urls: 'stun:stun.l.google.com:19302' }] }, roomIdInput, switchToSetupPanel,
-  setupCall, roomDisplay, statusMessage, setupPanel, callandtranscript
+  setupCall, roomDisplay, statusMessage, setupPanel, callandtranscript, getLocalStream: () => localStream, getRoomId
 });
 
+setupTransfer({ socket, getRoomId });
+
+// Build language dropdowns and quick-connect buttons from the server's language registry
+loadLanguages().then(() => {
+  populateLanguageSelect(languageSelect);
+  populateLanguageSelect(document.getElementById('quickConnectLang'));
+  populateQuickConnectButtons(document.getElementById('quick-connect-btns'), (lang) => {
+    if (typeof window.createAndJoinRoom === 'function') {
+      window.createAndJoinRoom(generateRoomId(), lang);
+    }
+  });
+  // Re-render the queue now that language labels are known
+  socket.emit('get-active-meetings');
+});
+
+// Help topics for the employee's queue request
+fetch('/api/help-categories')
+  .then(response => response.json())
+  .then(categories => {
+    ['help-category', 'transferCategory'].forEach(selectId => {
+      const select = document.getElementById(selectId);
+      if (select) categories.forEach(({ id, label }) => select.add(new Option(label, id)));
+    });
+  })
+  .catch(error => console.warn('Could not load help categories:', error));
+
 // Modular local stream setup
 async function startLocalStream() {
   localStream = await audioStartLocalStream(localVolume);
-  // Attach local stream to peer connection if needed
-  if (peerConnection && localStream) {
-    localStream.getTracks().forEach(track => peerConnection.addTrack(track, localStream));
-  }
+  // Peer connections are opened once the stream is ready, so they pick up its tracks then
   // Setup speech recognition
   recognition = setupSpeechRecognition(languageSelect, getIsMuted, socket, roomId, displayTranscript);
   // Setup audio visualization
@@ -84,7 +109,8 @@ async function startLocalStream() {
 // Modular hangup
 function hangup() {
   console.log('Hangup initiated');
-  // Notify server that user is leaving the room
+  // Notify server that user is leaving the room; the seat is not coming back after a hangup
+  sessionStorage.removeItem(RESUME_KEY);
   if (roomId) {
     socket.emit('leave', roomId);
     setRoomId(null);
@@ -108,7 +134,6 @@ function hangup() {
     } catch (e) { console.warn('Error stopping localStream tracks:', e); }
   }
   localStream = null;
-  peerConnection = null;
   console.log('Hangup completed, cleanup done');
 }
 
@@ -127,6 +152,11 @@ window.joinMeeting = (room, lang) => {
   socket.emit('join', room, { isCreator: false });
 };
 
+// Manual pick from the queue list; the call starts when the server confirms with 'queue-assigned'
+window.pickQueueEntry = (requestId) => {
+  socket.emit('queue-pick', requestId);
+};
+
 
 
 function startASR() {
@@ -1,11 +1,12 @@
 // events.js - Button and DOM event handlers
 // Exports: setupEventHandlers
+import { showCallSummary } from './summary.js';
 
 export function setupEventHandlers({
   createBtn, joinBtn, muteBtn, hangupBtn, languageSelect, roomTypeSelect, roomIdInput, socket,
   generateRoomId, isInitiator, setIsInitiator, setRoomId, setLanguageDisabled,
   startLocalStream, hangup, switchToSetupPanel, isMuted, setMuted,
-  getLocalStream
+  getLocalStream, getRoomId
 }) {
   // Create button event
   createBtn.onclick = () => {
@@ -15,8 +16,10 @@ export function setupEventHandlers({
     setRoomId(roomId);
     roomIdInput.value = roomId;
     const roomType = roomTypeSelect.value;
+    // Queue links can pick the room's domain glossaries, e.g. ?glossaries=it-helpdesk,hr
+    const glossaries = new URLSearchParams(window.location.search).get('glossaries') || '';
     // FIX: Emit 'join' instead of 'create' for room creation
-    socket.emit('join', roomId, { roomType, isCreator: true });
+    socket.emit('join', roomId, { roomType, isCreator: true, glossaries: glossaries.split(',').filter(Boolean) });
   };
 
   // Join button event
@@ -66,7 +69,10 @@ export function setupEventHandlers({
   // Modified hangup button event with feedback modal integration
   hangupBtn.onclick = () => {
     const loggedInUser = localStorage.getItem('lingueraLoggedInUser');
-    const isEmployee = loggedInUser && /@employee\.com$/i.test(loggedInUser);
+    const isEmployee = loggedInUser && localStorage.getItem('lingueraUserRole') === 'employee';
+    const endedRoomId = getRoomId();
+    // Feedback is attached to the call's ticket
+    window.lastRoomId = endedRoomId;
     // First, execute hangup
     hangup();
     switchToSetupPanel();
@@ -86,9 +92,16 @@ export function setupEventHandlers({
         }
       }, 100);
     } else {
-      // For agents, redirect directly to index
+      // For agents, show the call summary, then redirect to index
       setTimeout(() => {
-        window.location.href = 'index.html';
+        const summaryShown = showCallSummary({
+          roomId: endedRoomId,
+          socket,
+          onClose: () => { window.location.href = 'index.html'; }
+        });
+        if (!summaryShown) {
+          window.location.href = 'index.html';
+        }
       }, 100);
     }
   };
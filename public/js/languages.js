@@ -0,0 +1,65 @@
+// languages.js - Language registry served by /api/languages
+// Exports: loadLanguages, getLanguages, getLanguage, getLanguageLabel, getTtsLocale, isValidTranscript, populateLanguageSelect, populateQuickConnectButtons
+
+let registry = { pivot: null, languages: [], pairs: [] };
+let loading = null;
+
+export function loadLanguages() {
+  if (!loading) {
+    loading = fetch('/api/languages')
+      .then(res => res.ok ? res.json() : Promise.reject(new Error(res.statusText)))
+      .then(data => { registry = data; return registry; })
+      .catch(e => { console.error('Failed to load languages:', e); return registry; });
+  }
+  return loading;
+}
+
+export function getLanguages() {
+  return registry.languages;
+}
+
+// Accepts a base code ("hi") or a locale ("hi-IN")
+export function getLanguage(code) {
+  const base = String(code || '').split('-')[0].toLowerCase();
+  return registry.languages.find(lang => lang.code === base) || null;
+}
+
+export function getLanguageLabel(code) {
+  const lang = getLanguage(code);
+  return lang ? lang.name : (code || '');
+}
+
+export function getTtsLocale(code) {
+  const lang = getLanguage(code);
+  return lang ? lang.ttsLocale : code;
+}
+
+export function isValidTranscript(text, code) {
+  const lang = getLanguage(code);
+  if (!lang || !lang.script) return false;
+  return new RegExp(lang.script.pattern, lang.script.flags).test(text);
+}
+
+export function populateLanguageSelect(select) {
+  if (!select || registry.languages.length === 0) return;
+  const current = select.value;
+  select.innerHTML = registry.languages
+    .map(lang => `<option value="${lang.asrLocale}">${lang.name}</option>`)
+    .join('');
+  if (current && registry.languages.some(lang => lang.asrLocale === current)) select.value = current;
+}
+
+// Rebuilds the employee quick-connect buttons, reusing the first button as a style template
+export function populateQuickConnectButtons(container, onSelect) {
+  if (!container || registry.languages.length === 0) return;
+  const template = container.querySelector('.lang-quick-btn');
+  container.innerHTML = '';
+  registry.languages.forEach(lang => {
+    const btn = template ? template.cloneNode(false) : document.createElement('button');
+    btn.className = 'lang-quick-btn';
+    btn.setAttribute('data-lang', lang.asrLocale);
+    btn.textContent = lang.name.replace(/\s*\(.*\)$/, '');
+    btn.onclick = () => onSelect(lang.asrLocale);
+    container.appendChild(btn);
+  });
+}
@@ -4,7 +4,7 @@
     const agentAvailabilityLabel = document.getElementById('agent-availability-label');
     const agentAvailabilityWrapper = document.getElementById('agent-availability-wrapper');
     const loggedInUser = localStorage.getItem('lingueraLoggedInUser');
-    const isEmployee = loggedInUser && /@employee\.com$/i.test(loggedInUser);
+    const isEmployee = loggedInUser && localStorage.getItem('lingueraUserRole') === 'employee';
     if (isEmployee && agentAvailabilityLabel && agentAvailabilityWrapper) {
       agentAvailabilityWrapper.style.display = 'block';
       agentAvailabilityLabel.textContent = count === 1 ? '1 Agent Available' : `${count} Agents Available`;
@@ -12,22 +12,60 @@
     }
   });
 // sockets.js - Socket event handlers and socket setup
-// Exports: setupSocketHandlers
+// Exports: setupSocketHandlers, RESUME_KEY
 
 import { startASR } from './app.js';
+import { peers, createPeerConnection, createOffer, setRemoteDescription, addIceCandidate, closePeerConnection } from './webrtc.js';
+import { getLanguageLabel, loadLanguages, populateLanguageSelect } from './languages.js';
+
+const ROLE_LABELS = { agent: 'Agent', employee: 'Employee', supervisor: 'Supervisor', admin: 'Admin' };
+// Per tab, so a reload can take the same seat back: { roomId, token }
+export const RESUME_KEY = 'lingueraResume';
 
 export function setupSocketHandlers({
-  socket, isInitiator, setIsInitiator, setRoomId, setLanguageDisabled, languageSelect, recognition, lastLocalTranscript, updateLocalTranslation, displayTranscript, displayLocalTranslation, displayRemoteTranslation, playTranslatedAudio, updateActiveMeetings, activeMeetingsDiv, startLocalStream, createOffer, peerConnection, peerConfig, roomIdInput, switchToSetupPanel,
-  setupCall, roomDisplay, statusMessage, setupPanel, callandtranscript
+  socket, isInitiator, setIsInitiator, setRoomId, setLanguageDisabled, languageSelect, recognition, lastLocalTranscript, updateLocalTranslation, displayTranscript, displayLocalTranslation, displayRemoteTranslation, playTranslatedAudio, updateActiveMeetings, activeMeetingsDiv, startLocalStream, peerConfig, roomIdInput, switchToSetupPanel,
+  setupCall, roomDisplay, statusMessage, setupPanel, callandtranscript, getLocalStream, getRoomId
 }) {
+  // Everyone in the call, by socket ID - for the participant list and for naming speakers
+  let participants = new Map();
+  // Offers wait for the microphone, so every connection carries this side's audio
+  let streamReady = Promise.resolve();
+
+  function roleLabel(role) {
+    return ROLE_LABELS[role] || 'Participant';
+  }
+
+  function participantLabel(person) {
+    if (!person) return 'A participant';
+    return person.name ? `${person.name} (${roleLabel(person.role)})` : roleLabel(person.role);
+  }
+
+  function renderParticipants() {
+    const list = document.getElementById('participants-list');
+    if (!list) return;
+    list.innerHTML = '';
+    participants.forEach(person => {
+      const item = document.createElement('li');
+      item.textContent = `${participantLabel(person)}${person.id === socket.id ? ' - you' : ''}${person.language ? ` · ${getLanguageLabel(person.language)}` : ''}${person.reconnecting ? ' (reconnecting...)' : ''}`;
+      list.appendChild(item);
+    });
+  }
+
+  socket.on('participants', ({ participants: people = [] } = {}) => {
+    participants = new Map(people.map(person => [person.id, person]));
+    renderParticipants();
+  });
+
   socket.on('created', async (room) => {
     setRoomId(room);
     setupCall(room); // Only pass the room string
+    participants = new Map();
     // Clear all transcript and translation boxes when a new room is created
     clearTranscriptsAndTranslations();
     // UI setup for call (imported from ui.js)
     // Start local stream and peer connection
-    await startLocalStream();
+    streamReady = startLocalStream();
+    await streamReady;
     startASR();
     socket.emit('language-selected', {
       roomId: room,
@@ -35,12 +73,15 @@ export function setupSocketHandlers({
       sender: socket.id
     });
   });
-  socket.on('joined', async (room) => {
+  socket.on('joined', async (room, others = []) => {
     setRoomId(room);
     setupCall(room); // Only pass the room string
+    participants = new Map(others.map(person => [person.id, person]));
+    renderParticipants();
     // Clear all transcript and translation boxes when a new room is joined
     clearTranscriptsAndTranslations();
-    await startLocalStream();
+    streamReady = startLocalStream();
+    await streamReady;
     startASR();
     if (!isInitiator) setLanguageDisabled(false);
     socket.emit('language-selected', {
@@ -48,18 +89,26 @@ export function setupSocketHandlers({
       language: languageSelect.value,
       sender: socket.id
     });
-    statusMessage.textContent = 'Employee connected';
+    statusMessage.textContent = others.length > 1 ? `${others.length} participants connected` : `${participantLabel(others[0])} connected`;
     if (window.showToast) {
       showToast('You have joined the meeting.', 'success');
     } else {
       alert('You have joined the meeting.');
     }
   });
-  socket.on('user-joined', async () => {
-    if (isInitiator) await createOffer(socket, setRoomId());
-    statusMessage.textContent = 'Employee connected';
+  async function callParticipant(person) {
+    participants.set(person.id, person);
+    renderParticipants();
+    await streamReady;
+    createPeerConnection(peerConfig, socket, getRoomId(), person.id, getLocalStream(), statusMessage);
+    await createOffer(socket, getRoomId(), person.id);
+  }
+  // Everyone already in the room calls the newcomer
+  socket.on('user-joined', async (person) => {
+    if (person?.id) await callParticipant(person);
+    statusMessage.textContent = `${participantLabel(person)} connected`;
     if (window.showToast) {
-      showToast('A participant has joined the meeting.', 'success');
+      showToast(`${participantLabel(person)} has joined the meeting.`, 'success');
     } else {
       alert('A participant has joined the meeting.');
     }
@@ -69,40 +118,121 @@ export function setupSocketHandlers({
   });
   if (languageSelect) {
     languageSelect.addEventListener('change', () => {
-      if (setRoomId()) {
+      if (getRoomId()) {
         socket.emit('language-selected', {
-          roomId: setRoomId(),
+          roomId: getRoomId(),
           language: languageSelect.value,
           sender: socket.id
         });
       }
     });
   }
-  socket.on('offer', async (offer) => {
-    if (!peerConnection) createPeerConnection(peerConfig, socket, setRoomId());
-    await peerConnection.setRemoteDescription(new RTCSessionDescription(offer));
-    const answer = await peerConnection.createAnswer();
-    await peerConnection.setLocalDescription(answer);
-    socket.emit('answer', answer, setRoomId());
+  // Signaling is addressed per peer; the server adds who each message is from
+  socket.on('offer', async (offer, from) => {
+    await streamReady;
+    const pc = peers.get(from) || createPeerConnection(peerConfig, socket, getRoomId(), from, getLocalStream(), statusMessage);
+    await setRemoteDescription(from, offer);
+    const answer = await pc.createAnswer();
+    await pc.setLocalDescription(answer);
+    socket.emit('answer', answer, getRoomId(), from);
   });
-  socket.on('answer', async (answer) => {
-    await peerConnection.setRemoteDescription(new RTCSessionDescription(answer));
+  socket.on('answer', async (answer, from) => {
+    await setRemoteDescription(from, answer);
   });
-  socket.on('ice-candidate', async (candidate) => {
-    if (peerConnection) await peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
+  socket.on('ice-candidate', async (candidate, from) => {
+    await addIceCandidate(from, candidate);
   });
-  socket.on('user-disconnected', () => {
-    if (peerConnection) {
-      peerConnection.close();
-      peerConnection = null;
+  socket.on('user-disconnected', ({ id } = {}) => {
+    const person = participants.get(id);
+    if (id) {
+      closePeerConnection(id);
+      participants.delete(id);
+      renderParticipants();
     }
     if (window.showToast) {
-      showToast('A participant has left the meeting.', 'info');
+      showToast(`${participantLabel(person)} has left the meeting.`, 'info');
     } else {
-      alert('A participant has left the meeting.');
+      alert(`${participantLabel(person)} has left the meeting.`);
     }
     // No need to emit 'get-active-meetings' here; server will broadcast updates
   });
+  // Reconnecting - the server holds a dropped participant's seat for a while. A reloaded page or
+  // a reconnected socket takes it back with the resume token and gets called again by the others.
+  function savedSeat() {
+    try {
+      return JSON.parse(sessionStorage.getItem(RESUME_KEY));
+    } catch (e) {
+      return null;
+    }
+  }
+  function resumeCall() {
+    const seat = savedSeat();
+    if (seat?.token) socket.emit('resume', seat.token);
+  }
+  socket.on('resume-token', ({ roomId, token }) => {
+    sessionStorage.setItem(RESUME_KEY, JSON.stringify({ roomId, token }));
+  });
+  socket.on('connect', resumeCall);
+  if (socket.connected) resumeCall();
+  socket.on('resumed', async ({ roomId, token, language, participants: others = [], history = [] }) => {
+    sessionStorage.setItem(RESUME_KEY, JSON.stringify({ roomId, token }));
+    const reloaded = getRoomId() !== roomId;
+    // The old connections went with the old socket; the others call this one afresh
+    Array.from(peers.keys()).forEach(closePeerConnection);
+    participants = new Map(others.map(person => [person.id, person]));
+    renderParticipants();
+    if (reloaded) {
+      setRoomId(roomId);
+      streamReady = loadLanguages().then(() => {
+        populateLanguageSelect(languageSelect);
+        if (language) languageSelect.value = language;
+        setupCall(roomId);
+        return startLocalStream();
+      });
+      await streamReady;
+      startASR();
+    }
+    replayHistory(history);
+    statusMessage.textContent = 'Reconnected';
+    if (window.showToast) showToast('Reconnected to the call.', 'success');
+  });
+  socket.on('resume-failed', ({ error } = {}) => {
+    sessionStorage.removeItem(RESUME_KEY);
+    if (window.showToast) showToast(error || 'Could not rejoin the call', 'error');
+    // Still on the call page after a dropped connection - end the call there too
+    const hangupBtn = document.getElementById('hangup-btn');
+    if (getRoomId() && hangupBtn) hangupBtn.click();
+  });
+  socket.on('user-reconnecting', ({ id, graceSeconds } = {}) => {
+    closePeerConnection(id);
+    const label = participantLabel(participants.get(id));
+    statusMessage.textContent = `${label} is reconnecting...`;
+    if (window.showToast) showToast(`${label} lost their connection. Holding their place for ${graceSeconds}s.`, 'info');
+  });
+  socket.on('user-resumed', async (person) => {
+    if (!person?.id) return;
+    closePeerConnection(person.previousId);
+    participants.delete(person.previousId);
+    await callParticipant(person);
+    statusMessage.textContent = `${participantLabel(person)} reconnected`;
+  });
+  // Earlier utterances into the chat - after a reload, or for an agent taking over a transfer.
+  // Entries are keyed by timestamp, so anything already shown is not repeated.
+  function replayHistory(utterances = []) {
+    const myLanguage = (languageSelect.value || '').split('-')[0];
+    utterances.forEach(u => {
+      const translations = u.translations?.length ? u.translations : [u.translation].filter(Boolean);
+      if (u.speaker === socket.id) {
+        displayTranscript({ transcript: u.original, timestamp: u.timestamp, language: u.language }, 'local');
+        if (translations[0]) displayLocalTranslation(translations[0].text, translations[0].language, u.timestamp);
+        return;
+      }
+      const speakerName = participantLabel(participants.get(u.speaker) || { role: u.role, name: u.email });
+      displayTranscript({ transcript: u.original, timestamp: u.timestamp, language: u.language, speakerName, speakerRole: u.role }, 'remote');
+      const translation = translations.find(t => (t.language || '').split('-')[0] === myLanguage);
+      if (translation) displayRemoteTranslation(translation.text, translation.language, u.timestamp, speakerName);
+    });
+  }
   socket.on('no-room', (room) => {
     if (!isInitiator) {
       if (window.showToast) {
@@ -116,13 +246,43 @@ export function setupSocketHandlers({
   });
   // ...other handlers as needed...
   socket.on('active-meetings', (meetings) => updateActiveMeetings(meetings, activeMeetingsDiv));
+  // Help queue - the server hands this agent a request; join with the language picked on its row
+  socket.on('queue-assigned', (entry) => {
+    const langSelect = document.getElementById(`lang-select-${entry.requestId}`);
+    if (window.showToast) showToast('An employee has been assigned to you. Connecting...', 'success');
+    window.joinMeeting(entry.roomId, langSelect ? langSelect.value : undefined);
+  });
+  socket.on('queue-cancelled', () => {
+    if (window.showToast) showToast('The employee left the queue.', 'info');
+  });
+  socket.on('queue-error', ({ error } = {}) => {
+    if (window.showToast) {
+      showToast(error || 'Queue request failed', 'error');
+    } else {
+      alert(error || 'Queue request failed');
+    }
+  });
+  // Employee's place in the queue
+  socket.on('queue-status', (entry) => {
+    if (entry.status === 'connected') {
+      statusMessage.textContent = 'Agent connected';
+    } else if (entry.status === 'assigned') {
+      statusMessage.textContent = `${entry.agent || 'An agent'} is joining...`;
+    } else if (entry.transfer) {
+      statusMessage.textContent = 'Transferring you to another agent...';
+    } else if (entry.mode === 'manual') {
+      statusMessage.textContent = `Waiting for the next free agent (position ${entry.position})`;
+    } else {
+      statusMessage.textContent = `Waiting for an agent who speaks your language (position ${entry.position})`;
+    }
+  });
   socket.emit('get-active-meetings'); // Initial fetch only
   socket.on('created', () => socket.emit('get-active-meetings'));
   socket.on('joined', () => socket.emit('get-active-meetings'));
   // Remove redundant update triggers:
   // socket.on('user-disconnected', () => socket.emit('get-active-meetings'));
   // socket.on('user-joined', () => socket.emit('get-active-meetings'));
-  socket.on('transcript', async (msg) => {
+  socket.on('transcript', (msg) => {
     if (msg.sender !== socket.id) {
       // Prevent duplicate display in remote-combined
       const remoteCombined = document.getElementById('remote-combined');
@@ -131,70 +291,97 @@ export function setupSocketHandlers({
         transcriptExists = Array.from(remoteCombined.children).some(div => div.textContent.includes(msg.transcript));
       }
       if (!transcriptExists) {
-        displayTranscript(msg, 'remote');
-      }
-      // --- Translation logic ---
-      const localLang = languageSelect.value.split('-')[0];
-      const source = (msg.language || '').split('-')[0];
-      let target = null;
-      if (source !== localLang) {
-        // Only support en <-> hi, en <-> fr, en <-> es, en <-> de
-        if ((source === 'en' && localLang === 'hi') || (source === 'hi' && localLang === 'en')) {
-          target = localLang;
-        } else if ((source === 'en' && localLang === 'fr') || (source === 'fr' && localLang === 'en')) {
-          target = localLang;
-        } else if ((source === 'en' && localLang === 'es') || (source === 'es' && localLang === 'en')) {
-          target = localLang;
-        } else if ((source === 'en' && localLang === 'de') || (source === 'de' && localLang === 'en')) {
-          target = localLang;
-        }
+        const speaker = participants.get(msg.sender);
+        displayTranscript({ ...msg, speakerName: speaker ? participantLabel(speaker) : undefined, speakerRole: speaker?.role }, 'remote');
       }
-      if (source && target) {
-        try {
-          const res = await fetch('/api/translate', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ text: msg.transcript, source, target })
-          });
-          const data = await res.json();
-          const translated = data.translated || '';
-          if (translated) {
-            // Prevent duplicate display in remote-combined for translation
-            const remoteCombined = document.getElementById('remote-combined');
-            let translationExists = false;
-            if (remoteCombined && remoteCombined.children) {
-              translationExists = Array.from(remoteCombined.children).some(div => div.textContent.includes(translated));
-            }
-            if (!translationExists) {
-              displayRemoteTranslation(translated, target, msg.timestamp);
-              playTranslatedAudio(translated, target);
-            }
-            // Emit translation back to sender for their local-combined box
-            socket.emit('local-translation', {
-              transcript: translated,
-              language: target,
-              timestamp: msg.timestamp,
-              to: msg.sender
-            });
-          }
-        } catch (e) {
-          console.error('Translation error:', e);
+    }
+  });
+  // Translations are done by the server, which sends the pair to both participants
+  socket.on('translation', ({ original, translation } = {}) => {
+    if (!original || !translation || !translation.transcript) return;
+    if (original.sender === socket.id) {
+      displayLocalTranslation(translation.transcript, translation.language, original.timestamp);
+    } else {
+      const speaker = participants.get(original.sender);
+      displayRemoteTranslation(translation.transcript, translation.language, original.timestamp, speaker ? participantLabel(speaker) : undefined);
+      playTranslatedAudio(translation.transcript, translation.language);
+    }
+  });
+  // Supervisor monitoring - a supervisor listening in gets this side's microphone over its own
+  // connection; after a barge-in their voice comes back on it
+  const monitorPeers = new Map();
+  socket.on('monitor-signal', async ({ roomId, from, description, candidate }) => {
+    let pc = monitorPeers.get(from);
+    if (!pc) {
+      pc = new RTCPeerConnection(peerConfig);
+      monitorPeers.set(from, pc);
+      const stream = getLocalStream();
+      if (stream) stream.getAudioTracks().forEach(track => pc.addTrack(track, stream));
+      pc.onicecandidate = (event) => {
+        if (event.candidate) socket.emit('monitor-signal', { roomId, to: from, candidate: event.candidate });
+      };
+      pc.ontrack = (event) => {
+        const audio = new Audio();
+        audio.srcObject = event.streams[0];
+        audio.play().catch(e => console.warn('Supervisor audio playback failed:', e));
+      };
+    }
+    try {
+      if (description) {
+        await pc.setRemoteDescription(new RTCSessionDescription(description));
+        if (description.type === 'offer') {
+          await pc.setLocalDescription(await pc.createAnswer());
+          socket.emit('monitor-signal', { roomId, to: from, description: pc.localDescription });
         }
       }
+      if (candidate) await pc.addIceCandidate(new RTCIceCandidate(candidate));
+    } catch (e) {
+      console.warn('Monitoring connection error:', e);
     }
   });
-  // Listen for local-translation event and display in local-combined box
-  socket.on('local-translation', (data) => {
-    if (data && data.transcript && data.to === socket.id) {
-      // Prevent duplicate display: only show if not already present
-      const container = document.getElementById('local-combined');
-      let exists = false;
-      if (container && container.children) {
-        exists = Array.from(container.children).some(div => div.textContent.includes(data.transcript));
-      }
-      if (!exists) {
-        displayLocalTranslation(data.transcript, data.language, data.timestamp);
-      }
+  socket.on('monitor-closed', ({ from }) => {
+    const pc = monitorPeers.get(from);
+    if (pc) pc.close();
+    monitorPeers.delete(from);
+  });
+  socket.on('supervisor-joined', ({ name }) => {
+    statusMessage.textContent = `${name} (supervisor) joined the call`;
+    if (window.showToast) showToast(`${name} (supervisor) joined the call.`, 'info');
+  });
+  socket.on('supervisor-left', ({ name }) => {
+    if (window.showToast) showToast(`${name} (supervisor) left the call.`, 'info');
+  });
+  // Private notes from a supervisor - only agents receive these
+  socket.on('whisper', ({ from, text }) => {
+    if (window.showToast) {
+      showToast(`🔒 ${from}: ${text}`, 'info', 10000);
+    } else {
+      alert(`${from}: ${text}`);
+    }
+  });
+  // Transfers - the employee hears that another agent is coming, the agent handing over hears
+  // when they have joined, and the agent taking over gets the conversation so far
+  socket.on('transfer-started', ({ from } = {}) => {
+    statusMessage.textContent = 'Transferring you to another agent...';
+    if (window.showToast) showToast(`${from || 'Your agent'} is transferring you to another agent.`, 'info');
+  });
+  socket.on('transfer-connected', ({ agent } = {}) => {
+    statusMessage.textContent = `${agent} has joined`;
+    if (window.showToast) showToast(`${agent} has joined. Hang up when you are ready to hand over.`, 'success', 8000);
+  });
+  socket.on('transfer-failed', ({ error } = {}) => {
+    statusMessage.textContent = 'Transfer called off';
+    if (window.showToast) showToast(error || 'The transfer did not go through', 'error');
+  });
+  socket.on('call-transferred', () => {
+    if (window.showToast) showToast('Call transferred.', 'success');
+    const hangupBtn = document.getElementById('hangup-btn');
+    if (hangupBtn) hangupBtn.click();
+  });
+  socket.on('transfer-context', ({ transfer, utterances = [] } = {}) => {
+    replayHistory(utterances);
+    if (transfer && window.showToast) {
+      showToast(`Transferred by ${transfer.from}${transfer.note ? `: ${transfer.note}` : ''}`, 'info', 12000);
     }
   });
   // Helper to clear all transcript and translation boxes
@@ -1,4 +1,6 @@
 // speech.js - Speech recognition and transcript handling
+import { isValidTranscript } from './languages.js';
+
 export function setupSpeechRecognition(languageSelect, isMuted, socket, roomId, displayTranscript, updateLocalTranslation) {
   const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
   let recognition = SpeechRecognition ? new SpeechRecognition() : null;
@@ -15,19 +17,8 @@ export function setupSpeechRecognition(languageSelect, isMuted, socket, roomId,
     for (let i = e.resultIndex; i < e.results.length; ++i) {
       if (e.results[i].isFinal) final += e.results[i][0].transcript + ' ';
     }
-    const selectedLang = recognition.lang;
-    let isValid = false;
-    if (selectedLang.startsWith('hi')) {
-      isValid = /[\u0900-\u097F]/.test(final);
-    } else if (selectedLang.startsWith('en')) {
-      isValid = /^[A-Za-z0-9\s.,?!'"-]+$/.test(final);
-    } else if (selectedLang.startsWith('fr')) {
-      isValid = /[a-zA-Zàâçéèêëîïôûùüÿñæœ]/i.test(final);
-    } else if (selectedLang.startsWith('es')) {
-      isValid = /[a-zA-Záéíóúüñ¿¡]/i.test(final);
-    } else if (selectedLang.startsWith('de')) {
-      isValid = /[a-zA-ZäöüßÄÖÜẞ]/i.test(final);
-    }
+    // Drop results that are not in the selected language's script
+    const isValid = isValidTranscript(final, recognition.lang);
     if (final.trim() && isValid) {
       const message = {
         roomId,
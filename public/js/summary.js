@@ -0,0 +1,82 @@
+// summary.js - End-of-call summary shown to the agent after hangup
+// Exports: showCallSummary
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+}
+
+function renderSummary(body, { final, summary }) {
+  const list = items => `<ul style="margin: 6px 0 0 20px;">${items.join('')}</ul>`;
+  body.innerHTML = `
+    ${final ? '' : '<p class="feedback-subtitle" style="color:#6c757d;">The other participant is still connected - this summary will update when the call ends.</p>'}
+    <div class="feedback-group">
+      <label class="feedback-label">Issue category</label>
+      <div><b>${escapeHtml(summary.category.label)}</b></div>
+    </div>
+    <div class="feedback-group">
+      <label class="feedback-label">Summary</label>
+      <div>${escapeHtml(summary.summary) || '<i>Nothing to summarize</i>'}</div>
+    </div>
+    ${summary.entities.length ? `
+    <div class="feedback-group">
+      <label class="feedback-label">Key details</label>
+      <div>${summary.entities.map(e => escapeHtml(e.value)).join(', ')}</div>
+    </div>` : ''}
+    ${summary.actionItems.length ? `
+    <div class="feedback-group">
+      <label class="feedback-label">Action items</label>
+      ${list(summary.actionItems.map(item => `<li>${escapeHtml(item.text)}</li>`))}
+    </div>` : ''}
+  `;
+}
+
+// Fetches the summary for the room just left; the server pushes the final one
+// once the last participant hangs up
+export function showCallSummary({ roomId, socket, onClose }) {
+  const modal = document.getElementById('callSummaryModal');
+  const body = document.getElementById('callSummaryBody');
+  const copyBtn = document.getElementById('copySummaryBtn');
+  const closeBtn = document.getElementById('closeSummaryBtn');
+  if (!modal || !body || !roomId) return false;
+
+  let current = null;
+  const show = result => {
+    current = result;
+    renderSummary(body, result);
+  };
+  const onSummary = result => {
+    if (result && result.roomId === roomId) show(result);
+  };
+
+  body.innerHTML = '<p class="feedback-subtitle">Preparing the call summary...</p>';
+  modal.style.display = 'flex';
+  document.body.style.overflow = 'hidden';
+  socket.on('call-summary', onSummary);
+
+  fetch(`/api/transcripts/${encodeURIComponent(roomId)}/summary`)
+    .then(response => (response.ok ? response.json() : Promise.reject(new Error(response.statusText))))
+    .then(result => { if (!current?.final) show(result); })
+    .catch(error => {
+      console.warn('Call summary unavailable:', error);
+      if (!current) body.innerHTML = '<p class="feedback-subtitle">No summary is available for this call.</p>';
+    });
+
+  copyBtn.onclick = async () => {
+    if (!current) return;
+    try {
+      await navigator.clipboard.writeText(current.summary.ticketNotes);
+      if (window.showToast) showToast('Ticket notes copied', 'success');
+    } catch (error) {
+      console.warn('Clipboard write failed:', error);
+    }
+  };
+  closeBtn.onclick = () => {
+    socket.off('call-summary', onSummary);
+    modal.style.display = 'none';
+    document.body.style.overflow = '';
+    if (onClose) onClose();
+  };
+  return true;
+}
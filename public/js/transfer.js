@@ -0,0 +1,71 @@
+// transfer.js - Agents hand a call to another agent or back to a language/topic queue
+// Exports: setupTransfer
+
+import { populateLanguageSelect } from './languages.js';
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+}
+
+export function setupTransfer({ socket, getRoomId }) {
+  const button = document.getElementById('transfer-btn');
+  const modal = document.getElementById('transferModal');
+  const form = document.getElementById('transferForm');
+  const target = document.getElementById('transferTarget');
+  const language = document.getElementById('transferLanguage');
+  const queueGroup = document.getElementById('transferQueueGroup');
+  if (!button || !modal || !form) return;
+  if (localStorage.getItem('lingueraUserRole') !== 'agent') return;
+  button.style.display = '';
+
+  function close() {
+    modal.style.display = 'none';
+    document.body.style.overflow = '';
+  }
+
+  // Agents free right now; the queue finds one by language and topic instead
+  socket.on('transfer-targets', (agents = []) => {
+    target.innerHTML = '<option value="">Next available agent (queue)</option>' +
+      agents.map(agent => `<option value="${escapeHtml(agent.email)}">${escapeHtml(agent.name)} &lt;${escapeHtml(agent.email)}&gt;</option>`).join('');
+    queueGroup.style.display = '';
+  });
+  target.onchange = () => {
+    queueGroup.style.display = target.value ? 'none' : '';
+  };
+
+  button.onclick = () => {
+    if (!getRoomId()) return;
+    populateLanguageSelect(language);
+    language.insertBefore(new Option("Employee's language", ''), language.firstChild);
+    language.value = '';
+    target.innerHTML = '<option value="">Next available agent (queue)</option>';
+    document.getElementById('transferNote').value = '';
+    socket.emit('get-transfer-targets');
+    modal.style.display = 'flex';
+    document.body.style.overflow = 'hidden';
+  };
+  document.getElementById('cancelTransferBtn').onclick = close;
+
+  form.onsubmit = (event) => {
+    event.preventDefault();
+    socket.emit('transfer-call', {
+      roomId: getRoomId(),
+      mode: form.querySelector('input[name="transferMode"]:checked').value,
+      agent: target.value || undefined,
+      language: target.value ? undefined : language.value || undefined,
+      category: target.value ? undefined : document.getElementById('transferCategory').value || undefined,
+      note: document.getElementById('transferNote').value
+    });
+    close();
+  };
+
+  socket.on('transfer-error', ({ error } = {}) => {
+    if (window.showToast) {
+      showToast(error || 'The call could not be transferred', 'error');
+    } else {
+      alert(error || 'The call could not be transferred');
+    }
+  });
+}
@@ -1,5 +1,7 @@
 // ui.js - UI helpers and DOM manipulation
 // Only UI helpers, no socket or meeting logic
+import { getLanguage } from './languages.js';
+
 export function setupCall(room) {
   const roomDisplay = document.getElementById('room-display');
   const statusMessage = document.getElementById('status-message');
@@ -12,15 +14,8 @@ export function setupCall(room) {
   let langLabel = '';
   const urlParams = new URLSearchParams(window.location.search);
   const langCode = urlParams.get('lang');
-  const langMap = {
-    'en-US': 'English (US)',
-    'hi-IN': 'Hindi',
-    'fr-FR': 'French',
-    'es-ES': 'Spanish',
-    'de-DE': 'German'
-  };
-  if (langCode && langMap[langCode]) {
-    langLabel = langMap[langCode];
+  if (langCode && getLanguage(langCode)) {
+    langLabel = getLanguage(langCode).name;
   } else {
     // Try to get from dropdown if present (for agent)
     const languageSelect = document.getElementById('language-select');
@@ -67,15 +62,16 @@ function renderChatBox() {
   const loggedInUser = localStorage.getItem('lingueraLoggedInUser');
   let localRole = 'Agent';
   let remoteRole = 'Employee';
-  if (loggedInUser && /@employee\.com$/i.test(loggedInUser)) {
+  if (loggedInUser && localStorage.getItem('lingueraUserRole') === 'employee') {
     localRole = 'Employee';
     remoteRole = 'Agent';
   }
 
   for (const entry of entries) {
     const alignClass = entry.sender === 'local' ? 'local' : 'remote';
-    const speakerName = entry.sender === 'local' ? localRole : remoteRole;
-    const roleClass = speakerName.toLowerCase(); // 'employee' or 'agent'
+    // In calls with more than two people the server's participant list names each remote speaker
+    const speakerName = entry.sender === 'local' ? localRole : (entry.speakerName || remoteRole);
+    const roleClass = entry.sender === 'local' ? localRole.toLowerCase() : (entry.speakerRole || remoteRole.toLowerCase()); // 'employee' or 'agent'
 
     // Avatar image (customer-service.png for agent, customer.jpg for employee)
     const avatar = document.createElement('img');
@@ -84,7 +80,7 @@ function renderChatBox() {
     avatar.style.height = '36px';
     avatar.style.objectFit = 'cover';
     avatar.style.borderRadius = '50%';
-    if (speakerName === 'Agent') {
+    if (roleClass === 'agent') {
       avatar.src = 'images/customer-service.png';
       avatar.alt = 'Agent';
     } else {
@@ -149,7 +145,7 @@ function renderChatBox() {
 }
 
 // Accept speakerName in displayTranscript and translation functions
-export function displayTranscript({ transcript, timestamp, language, speakerName }, sender) {
+export function displayTranscript({ transcript, timestamp, language, speakerName, speakerRole }, sender) {
   const time = new Date(timestamp).toLocaleTimeString();
   const key = sender + '_' + timestamp;
   chatMap.set(key, {
@@ -159,6 +155,7 @@ export function displayTranscript({ transcript, timestamp, language, speakerName
     lang: language,
     time,
     speakerName, // Store speaker name
+    speakerRole,
     translation: chatMap.get(key)?.translation || null,
     translationLang: chatMap.get(key)?.translationLang || null
   });
@@ -192,7 +189,7 @@ window.updateTranscriptLabels = function updateTranscriptLabels() {
   if (!localCombined && !remoteCombined) return; // No headings, do nothing
   const loggedInUser = localStorage.getItem('lingueraLoggedInUser');
   let role = 'agent';
-  if (loggedInUser && /@employee\.com$/i.test(loggedInUser)) role = 'employee';
+  if (loggedInUser && localStorage.getItem('lingueraUserRole') === 'employee') role = 'employee';
   // Local
   if (localCombined) {
     localCombined.textContent =
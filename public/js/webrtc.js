@@ -1,25 +1,61 @@
-// webrtc.js - WebRTC connection logic
-export let peerConnection;
-export let localStream;
-export function createPeerConnection(peerConfig, socket, roomId, statusMessage) {
-  peerConnection = new RTCPeerConnection(peerConfig);
-  peerConnection.ontrack = (event) => {
-    statusMessage.textContent = 'Connected to peer';
+// webrtc.js - WebRTC connection logic. Rooms are a mesh: one connection per other participant.
+export const peers = new Map(); // peer socket ID -> RTCPeerConnection
+const remoteAudio = new Map(); // peer socket ID -> <audio>
+const pendingCandidates = new Map(); // peer socket ID -> candidates that arrived before the offer/answer
+
+export function createPeerConnection(peerConfig, socket, roomId, peerId, localStream, statusMessage) {
+  const pc = new RTCPeerConnection(peerConfig);
+  if (localStream) localStream.getTracks().forEach(track => pc.addTrack(track, localStream));
+  pc.ontrack = (event) => {
+    let audio = remoteAudio.get(peerId);
+    if (!audio) {
+      audio = new Audio();
+      audio.autoplay = true;
+      remoteAudio.set(peerId, audio);
+    }
+    audio.srcObject = event.streams[0];
+    if (statusMessage) statusMessage.textContent = 'Connected to peer';
   };
-  peerConnection.onicecandidate = (event) => {
-    if (event.candidate) socket.emit('ice-candidate', event.candidate, roomId);
+  pc.onicecandidate = (event) => {
+    if (event.candidate) socket.emit('ice-candidate', event.candidate, roomId, peerId);
   };
+  peers.set(peerId, pc);
+  return pc;
 }
-export async function createOffer(socket, roomId) {
-  const offer = await peerConnection.createOffer();
-  await peerConnection.setLocalDescription(offer);
-  socket.emit('offer', offer, roomId);
+export async function createOffer(socket, roomId, peerId) {
+  const pc = peers.get(peerId);
+  if (!pc) return;
+  const offer = await pc.createOffer();
+  await pc.setLocalDescription(offer);
+  socket.emit('offer', offer, roomId, peerId);
 }
-export function closePeerConnection() {
-  if (peerConnection) peerConnection.close();
-  peerConnection = null;
+export async function setRemoteDescription(peerId, description) {
+  const pc = peers.get(peerId);
+  if (!pc) return;
+  await pc.setRemoteDescription(new RTCSessionDescription(description));
+  const queued = pendingCandidates.get(peerId) || [];
+  pendingCandidates.delete(peerId);
+  for (const candidate of queued) await pc.addIceCandidate(new RTCIceCandidate(candidate));
+}
+export async function addIceCandidate(peerId, candidate) {
+  const pc = peers.get(peerId);
+  if (!pc || !pc.remoteDescription) {
+    pendingCandidates.set(peerId, [...(pendingCandidates.get(peerId) || []), candidate]);
+    return;
+  }
+  await pc.addIceCandidate(new RTCIceCandidate(candidate));
+}
+export function closePeerConnection(peerId) {
+  const pc = peers.get(peerId);
+  if (pc) pc.close();
+  peers.delete(peerId);
+  pendingCandidates.delete(peerId);
+  const audio = remoteAudio.get(peerId);
+  if (audio) audio.srcObject = null;
+  remoteAudio.delete(peerId);
 }
 export function hangup() {
+  Array.from(peers.keys()).forEach(closePeerConnection);
   if (window.peerConnection) {
     window.peerConnection.close();
     window.peerConnection = null;
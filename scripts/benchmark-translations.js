@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+// Regression benchmark - replays recorded translations through the configured providers and dictionary.
+//
+// Input is a translation log (translations-*.jsonl, the old translation_logs.json or a per-room
+// .json log) or a golden set in the same shape: { source, target, input, output?, reference? },
+// where source/target are language codes. Reports latency percentiles, outputs that differ from
+// the recorded ones, and BLEU/chrF/TER for entries with a reference.
+//
+// Usage:
+//   node scripts/benchmark-translations.js <file> [--pair hi-en] [--limit 200] [--all]
+//     [--glossaries it-helpdesk,hr] [--providers python] [--report report.json] [--strict]
+//
+// --all keeps repeated utterances (deduplicated by default); --strict exits non-zero when
+// any translation fails or the quality against references drops below the recorded outputs.
+const fs = require('fs');
+const path = require('path');
+const { scoreCorpus } = require('../lib/translation/metrics');
+
+function parseArgs(argv) {
+  const args = { all: false, strict: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--pair') args.pair = argv[++i];
+    else if (arg === '--limit') args.limit = parseInt(argv[++i]);
+    else if (arg === '--glossaries') args.glossaries = argv[++i];
+    else if (arg === '--providers') args.providers = argv[++i].split(',').map(p => p.trim()).filter(Boolean);
+    else if (arg === '--report') args.report = argv[++i];
+    else if (arg === '--all') args.all = true;
+    else if (arg === '--strict') args.strict = true;
+    else if (!arg.startsWith('--')) args.file = arg;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  if (!args.file) throw new Error('Path to a translation log or golden set is required');
+  return args;
+}
+
+function readEntries(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+  if (filePath.endsWith('.jsonl')) {
+    return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+  const data = JSON.parse(text);
+  return Array.isArray(data) ? data : data.entries || [];
+}
+
+function toCases(entries, { pair, limit, all }) {
+  const seen = new Set();
+  const cases = [];
+  for (const entry of entries) {
+    const sl = String(entry.source || '').split('-')[0];
+    const tl = String(entry.target || '').split('-')[0];
+    const input = typeof entry.input === 'string' ? entry.input.trim() : '';
+    if (!sl || !tl || !input || sl === tl) continue;
+    if (pair && `${sl}-${tl}` !== pair) continue;
+
+    const key = `${sl}|${tl}|${input}`;
+    if (!all && seen.has(key)) continue;
+    seen.add(key);
+
+    cases.push({ sl, tl, input, recorded: entry.output, reference: entry.reference });
+    if (limit && cases.length >= limit) break;
+  }
+  return cases;
+}
+
+// Nearest-rank percentile
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(Math.ceil((p / 100) * sorted.length) - 1, sorted.length - 1)];
+}
+
+function latencySummary(durations) {
+  const sorted = [...durations].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    mean: sorted.length ? Math.round(sorted.reduce((sum, d) => sum + d, 0) / sorted.length) : null,
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+    max: sorted.length ? sorted[sorted.length - 1] : null
+  };
+}
+
+// Corpus scores per language pair, for the current outputs and, where recorded, the old ones
+function qualitySummary(results) {
+  const byPair = {};
+  results.filter(r => typeof r.reference === 'string' && r.current !== undefined).forEach(r => {
+    const key = `${r.sl}-${r.tl}`;
+    byPair[key] = byPair[key] || { current: [], recorded: [] };
+    byPair[key].current.push({ hypothesis: r.current, reference: r.reference });
+    if (typeof r.recorded === 'string') byPair[key].recorded.push({ hypothesis: r.recorded, reference: r.reference });
+  });
+  return Object.fromEntries(Object.entries(byPair).map(([key, { current, recorded }]) => [key, {
+    current: scoreCorpus(current),
+    ...(recorded.length === current.length ? { recorded: scoreCorpus(recorded) } : {})
+  }]));
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('Usage: node scripts/benchmark-translations.js <file> [--pair hi-en] [--limit N] [--all] [--glossaries a,b] [--providers python] [--report file.json] [--strict]');
+    process.exit(1);
+  }
+
+  // Loading server.js without starting it gives the same providers, routes, dictionary and glossaries
+  const { translateText, translationRouter, dictionary, glossaries, normalizeGlossaryNames } = require('../server');
+  dictionary.load();
+  glossaries.load();
+  const health = await translationRouter.checkAll();
+  console.log(`🔀 Providers: ${Object.entries(health).map(([name, ok]) => `${name} ${ok ? '✅' : '❌'}`).join(', ') || 'none'}`);
+
+  const cases = toCases(readEntries(args.file), args);
+  const glossaryNames = normalizeGlossaryNames(args.glossaries);
+  console.log(`🏁 Replaying ${cases.length} utterances from ${path.basename(args.file)}${glossaryNames.length ? ` with glossaries ${glossaryNames.join(', ')}` : ''}`);
+
+  const results = [];
+  for (const [index, testCase] of cases.entries()) {
+    const startTime = Date.now();
+    try {
+      const result = await translateText(testCase.input, testCase.sl, testCase.tl, {
+        glossaries: glossaryNames,
+        providers: args.providers,
+        cache: false
+      });
+      results.push({ ...testCase, current: result.translatedText, provider: result.provider, durationMs: Date.now() - startTime });
+    } catch (error) {
+      results.push({ ...testCase, error: error.message, durationMs: Date.now() - startTime });
+    }
+    if ((index + 1) % 50 === 0) console.log(`   ${index + 1}/${cases.length}`);
+  }
+
+  const succeeded = results.filter(r => r.error === undefined);
+  const failed = results.filter(r => r.error !== undefined);
+  const changed = succeeded
+    .filter(r => typeof r.recorded === 'string' && r.recorded.trim() !== r.current.trim())
+    .map(({ sl, tl, input, recorded, current, provider }) => ({ pair: `${sl}-${tl}`, input, recorded, current, provider }));
+  const quality = qualitySummary(succeeded);
+
+  const report = {
+    file: args.file,
+    total: results.length,
+    translated: succeeded.length,
+    failed: failed.length,
+    latencyMs: latencySummary(succeeded.map(r => r.durationMs)),
+    changed: changed.length,
+    quality,
+    changes: changed,
+    failures: failed.map(({ sl, tl, input, error }) => ({ pair: `${sl}-${tl}`, input, error }))
+  };
+
+  const latency = report.latencyMs;
+  console.log(`\n📊 ${report.translated}/${report.total} translated, ${report.failed} failed, ${report.changed} changed vs recorded`);
+  console.log(`⏱️  Latency ms - mean ${latency.mean} p50 ${latency.p50} p90 ${latency.p90} p95 ${latency.p95} p99 ${latency.p99} max ${latency.max}`);
+  Object.entries(quality).forEach(([key, { current, recorded }]) => {
+    const before = recorded ? ` (recorded: BLEU ${recorded.bleu} chrF ${recorded.chrf} TER ${recorded.ter})` : '';
+    console.log(`📏 ${key} on ${current.count} references - BLEU ${current.bleu} chrF ${current.chrf} TER ${current.ter}${before}`);
+  });
+  changed.slice(0, 20).forEach(c => console.log(`   ✏️  [${c.pair}] ${c.input}\n       was: ${c.recorded}\n       now: ${c.current}`));
+  if (changed.length > 20) console.log(`   ... ${changed.length - 20} more changes in the report`);
+
+  if (args.report) {
+    fs.writeFileSync(args.report, JSON.stringify(report, null, 2), 'utf8');
+    console.log(`📝 Report written to ${args.report}`);
+  }
+
+  const regressed = Object.values(quality).some(({ current, recorded }) =>
+    recorded && (current.bleu < recorded.bleu || current.chrf < recorded.chrf || current.ter > recorded.ter)
+  );
+  if (args.strict && (failed.length > 0 || regressed)) {
+    console.error('❌ Benchmark failed: ' + [failed.length ? `${failed.length} failed translations` : null, regressed ? 'quality regressed' : null].filter(Boolean).join(', '));
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('❌ Benchmark error:', error);
+  process.exit(1);
+});
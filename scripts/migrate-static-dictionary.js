@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+// One-shot migration of a hard-coded phrase map (e.g. the old hitoen.js) into the managed dictionary.
+//
+// The module must export { '<source phrase>': '<English term>', ... }. Phrases that map to the same
+// English term become one entry: the first phrase is the language rendering (unless the entry already
+// has one) and the rest become spelling variants, rewritten to it before translation.
+//
+// Usage (with the server stopped, since it keeps the dictionary in memory):
+//   node scripts/migrate-static-dictionary.js hitoen.js --lang hi [--glossary it-helpdesk] [--dry-run] [--report report.json]
+const fs = require('fs');
+const path = require('path');
+const { createDictionary, variantsOf } = require('../lib/dictionary');
+const { createGlossaryRegistry } = require('../lib/glossaries');
+
+const ROOT = path.join(__dirname, '..');
+
+function parseArgs(argv) {
+  const args = { lang: 'hi', dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--lang') args.lang = argv[++i];
+    else if (arg === '--glossary') args.glossary = argv[++i];
+    else if (arg === '--report') args.report = argv[++i];
+    else if (arg === '--dry-run') args.dryRun = true;
+    else if (!arg.startsWith('--')) args.module = arg;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  if (!args.module) throw new Error('Path to the static module is required');
+  return args;
+}
+
+// "my Uni hub" and "myUnihub" are the same term
+function compactKey(term) {
+  return String(term || '').toLowerCase().replace(/\s+/g, '');
+}
+
+function openTarget(glossaryName, readOnly) {
+  if (!glossaryName) {
+    const dictionary = createDictionary({ filePath: path.join(ROOT, 'excludedWords.json'), readOnly });
+    dictionary.load();
+    return dictionary;
+  }
+  const dirPath = path.join(ROOT, 'glossaries');
+  if (readOnly) {
+    const glossary = createDictionary({ filePath: path.join(dirPath, `${glossaryName}.json`), readOnly });
+    glossary.load();
+    return glossary;
+  }
+  const glossaries = createGlossaryRegistry({ dirPath });
+  glossaries.load();
+  return glossaries.create(glossaryName).glossary;
+}
+
+// Works out what to change without touching the dictionary
+function planMigration(phraseMap, dictionary, lang) {
+  const report = { added: [], updated: [], unchanged: [], conflicts: [] };
+
+  // Which entry already owns each phrase in this language, as a rendering or variant
+  const owners = new Map();
+  dictionary.all().forEach(entry => {
+    [entry[lang], ...(variantsOf(entry)[lang] || [])]
+      .filter(Boolean)
+      .forEach(phrase => owners.set(phrase.trim(), entry));
+  });
+
+  const groups = new Map();
+  for (const [rawPhrase, rawEnglish] of Object.entries(phraseMap)) {
+    const phrase = String(rawPhrase).trim();
+    const en = String(rawEnglish || '').trim();
+    if (!phrase || !en) {
+      report.conflicts.push({ phrase: rawPhrase, en: rawEnglish, reason: 'Empty phrase or English term' });
+      continue;
+    }
+    const key = compactKey(en);
+    if (!groups.has(key)) groups.set(key, { en, spellings: new Set(), phrases: [] });
+    groups.get(key).spellings.add(en);
+    groups.get(key).phrases.push(phrase);
+  }
+
+  const changes = [];
+  for (const [key, group] of groups) {
+    const existing = dictionary.all().find(entry => compactKey(entry.en) === key);
+    const phrases = group.phrases.filter(phrase => {
+      const owner = owners.get(phrase);
+      if (owner && owner !== existing) {
+        report.conflicts.push({ phrase, en: group.en, reason: `Already used by "${owner.en}"`, id: owner.id });
+        return false;
+      }
+      return true;
+    });
+    const spellings = [...group.spellings, ...(existing ? [existing.en] : [])];
+    const note = new Set(spellings).size > 1 ? { spellings: [...new Set(spellings)] } : {};
+    if (phrases.length === 0) continue;
+
+    if (!existing) {
+      const [rendering, ...variants] = phrases;
+      const fields = { en: group.en, [lang]: rendering, variants: { [lang]: variants } };
+      changes.push({ fields });
+      report.added.push({ en: group.en, [lang]: rendering, variants, ...note });
+      continue;
+    }
+
+    const rendering = existing[lang]?.trim() || phrases[0];
+    const known = new Set([rendering, ...(variantsOf(existing)[lang] || [])]);
+    const newVariants = phrases.filter(phrase => !known.has(phrase));
+    if (existing[lang]?.trim() && newVariants.length === 0) {
+      report.unchanged.push({ id: existing.id, en: existing.en });
+      continue;
+    }
+
+    const variants = [...(variantsOf(existing)[lang] || []), ...newVariants];
+    changes.push({ id: existing.id, fields: { [lang]: rendering, variants: { [lang]: variants } } });
+    report.updated.push({
+      id: existing.id,
+      en: existing.en,
+      [lang]: rendering,
+      addedVariants: newVariants,
+      ...(existing[lang]?.trim() ? {} : { addedRendering: true }),
+      ...note
+    });
+  }
+
+  return { changes, report };
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('Usage: node scripts/migrate-static-dictionary.js <module.js> --lang hi [--glossary name] [--dry-run] [--report file.json]');
+    process.exit(1);
+  }
+
+  const phraseMap = require(path.resolve(args.module));
+  const dictionary = openTarget(args.glossary, args.dryRun);
+  const { changes, report } = planMigration(phraseMap, dictionary, args.lang);
+  const author = `migration:${path.basename(args.module)}`;
+
+  if (!args.dryRun) {
+    changes.forEach(({ id, fields }) => {
+      if (id) dictionary.update(id, fields, author);
+      else dictionary.upsert(fields, author);
+    });
+  }
+
+  console.log(`📚 ${args.dryRun ? 'Dry run of' : 'Migrated'} ${path.basename(args.module)} into ${args.glossary ? `glossary "${args.glossary}"` : 'the dictionary'}:`);
+  console.log(`   ${report.added.length} added, ${report.updated.length} updated, ${report.unchanged.length} unchanged, ${report.conflicts.length} conflicts`);
+  report.conflicts.forEach(conflict => console.log(`   ⚠️  ${conflict.phrase} -> ${conflict.en}: ${conflict.reason}`));
+  report.updated.concat(report.added)
+    .filter(item => item.spellings)
+    .forEach(item => console.log(`   ℹ️  Merged spellings ${item.spellings.map(s => `"${s}"`).join(', ')} into "${item.en}"`));
+
+  if (args.report) {
+    fs.writeFileSync(args.report, JSON.stringify({ dryRun: args.dryRun, ...report }, null, 2), 'utf8');
+    console.log(`📝 Report written to ${args.report}`);
+  }
+}
+
+main();
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+// Local stand-in for a ServiceNow table API, for trying out the ITSM webhook.
+//
+// Accepts POST /api/now/table/incident, prints each ticket and answers like ServiceNow
+// ({ result: { sys_id, number } }). Received tickets are listed at GET /api/now/table/incident.
+//
+// Usage:
+//   node scripts/mock-itsm-receiver.js [--port 4010] [--fail-first 2] [--fail-rate 0.3] [--status 503]
+//
+// Then start the server with ITSM_WEBHOOK_URL=http://localhost:4010/api/now/table/incident.
+// --fail-first and --fail-rate answer with --status (503 by default) to exercise retries.
+const express = require('express');
+const crypto = require('crypto');
+
+function parseArgs(argv) {
+  const args = { port: 4010, failFirst: 0, failRate: 0, status: 503 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') args.port = parseInt(argv[++i]);
+    else if (arg === '--fail-first') args.failFirst = parseInt(argv[++i]) || 0;
+    else if (arg === '--fail-rate') args.failRate = parseFloat(argv[++i]) || 0;
+    else if (arg === '--status') args.status = parseInt(argv[++i]) || 503;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return args;
+}
+
+let args;
+try {
+  args = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  console.error('Usage: node scripts/mock-itsm-receiver.js [--port 4010] [--fail-first N] [--fail-rate 0-1] [--status 503]');
+  process.exit(1);
+}
+
+const app = express();
+app.use(express.json({ limit: '5mb' }));
+
+const tickets = [];
+let requests = 0;
+
+app.post('/api/now/table/incident', (req, res) => {
+  requests++;
+  if (requests <= args.failFirst || Math.random() < args.failRate) {
+    console.log(`⚠️  Request ${requests} rejected with ${args.status}`);
+    return res.status(args.status).json({ error: { message: 'Mock receiver failure' } });
+  }
+
+  const number = `INC${String(10000 + tickets.length + 1).padStart(7, '0')}`;
+  const ticket = { sys_id: crypto.randomUUID().replace(/-/g, ''), number, receivedAt: new Date().toISOString(), ...req.body };
+  tickets.push(ticket);
+  console.log(`🎫 ${number} from ${req.body.caller_id || 'unknown caller'}: ${req.body.short_description || ''}`);
+  console.log(`   auth: ${req.get('Authorization') ? req.get('Authorization').split(' ')[0] : 'none'}, rating: ${req.body.u_feedback_rating ?? '-'}, ${JSON.stringify(req.body).length} bytes`);
+  res.status(201).json({ result: { sys_id: ticket.sys_id, number } });
+});
+
+app.get('/api/now/table/incident', (req, res) => {
+  res.json({ result: tickets });
+});
+
+app.listen(args.port, () => {
+  console.log(`🧪 Mock ITSM receiver at http://localhost:${args.port}/api/now/table/incident`);
+});
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// Re-sends ITSM tickets that could not be delivered when their calls ended.
+//
+// Uses the same ITSM_WEBHOOK_* settings as the server. Tickets that fail again stay in the
+// dead-letter file (ITSM_DEAD_LETTER_FILE, itsm-dead-letters.jsonl by default).
+//
+// Usage:
+//   node scripts/replay-itsm-dead-letters.js [--attempts 3] [--dry-run]
+//
+// Run it while the server is stopped, or when no calls are ending - a ticket dead-lettered
+// by the server during the replay can be overwritten.
+
+function parseArgs(argv) {
+  const args = { attempts: 1, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--attempts') args.attempts = parseInt(argv[++i]) || 1;
+    else if (arg === '--dry-run') args.dryRun = true;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return args;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('Usage: node scripts/replay-itsm-dead-letters.js [--attempts N] [--dry-run]');
+    process.exit(1);
+  }
+
+  // Loading server.js without starting it gives the configured webhook
+  const { ticketWebhook } = require('../server');
+  if (!ticketWebhook) {
+    console.error('❌ ITSM_WEBHOOK_URL is not set');
+    process.exit(1);
+  }
+
+  const entries = ticketWebhook.readDeadLetters();
+  console.log(`🎫 ${entries.length} dead-lettered tickets`);
+  if (args.dryRun) {
+    entries.forEach(entry => console.log(`   ${entry.failedAt} room ${entry.roomId}: ${entry.error}`));
+    process.exit(0);
+  }
+  if (entries.length === 0) process.exit(0);
+
+  const result = await ticketWebhook.replay({ attempts: args.attempts });
+  console.log(`📊 ${result.delivered}/${result.total} delivered, ${result.failed} left in the dead-letter file`);
+  process.exit(result.failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('❌ Replay error:', error);
+  process.exit(1);
+});
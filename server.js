@@ -4,21 +4,133 @@ const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
 const fs = require('fs');
-const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+const crypto = require('crypto');
 const axios = require("axios");
 const cors = require("cors");
 const ExcelJS = require('exceljs');
+const { createTranslationRouter, NoProviderError } = require('./lib/translation/router');
+const { createPythonProvider } = require('./lib/translation/providers/python');
+const { createGoogleProvider } = require('./lib/translation/providers/google');
+const { createLocalProvider } = require('./lib/translation/providers/local');
+const { createTranslationCache } = require('./lib/translation/cache');
+const { rewritePhrases, protectTerms, restoreTerms } = require('./lib/translation/termProtection');
+const { scoreSentence, scoreCorpus, isScorable, MAX_SCORED_WORDS } = require('./lib/translation/metrics');
+const { loadLanguageRegistry } = require('./lib/languages');
+const { createDictionary, DictionaryConflictError } = require('./lib/dictionary');
+const { createGlossaryRegistry, isValidGlossaryName } = require('./lib/glossaries');
+const { createTranslationLogStore } = require('./lib/translationLogStore');
+const { createTranscriptStore, addTranslation } = require('./lib/transcripts');
+const { FORMATS: TRANSCRIPT_FORMATS, renderTranscript } = require('./lib/transcriptFormats');
+const { createTranscriptIndex } = require('./lib/transcriptIndex');
+const { summarizeCall, CATEGORIES } = require('./lib/callSummary');
+const { createRoutingQueue, loadAgentSkills, TRANSFER_MODES } = require('./lib/routingQueue');
+const { createAgentPresence } = require('./lib/agentPresence');
+const { createRoomSeats } = require('./lib/roomSeats');
+const { createAuth, AuthError, can, permissionsFor } = require('./lib/auth');
+const { createAuditLog } = require('./lib/auditLog');
+const { createTicketWebhook, renderTemplate, ticketContext, DEFAULT_TICKET_TEMPLATE } = require('./lib/ticketWebhook');
+const { FORMATS: GLOSSARY_FORMATS, detectFormat, parseGlossary, serializeGlossary } = require('./lib/glossaryFormats');
+
+function parseJsonEnv(name, fallback) {
+  try {
+    return process.env[name] ? JSON.parse(process.env[name]) : fallback;
+  } catch (error) {
+    console.error(`⚙️  Invalid JSON in ${name}, using default:`, error.message);
+    return fallback;
+  }
+}
 
 // Configuration
 const config = {
   port: process.env.PORT || 3000,
   pythonServiceUrl: process.env.PYTHON_SERVICE_URL || 'https://wipgenai.lwpcoe.com/linguera/',
   maxTranslationLength: parseInt(process.env.MAX_TRANSLATION_LENGTH) || 5000,
-  maxRoomParticipants: parseInt(process.env.MAX_ROOM_PARTICIPANTS) || 2,
+  // Audio is a full mesh - every participant sends to every other - so keep rooms small
+  maxRoomParticipants: parseInt(process.env.MAX_ROOM_PARTICIPANTS) || 4,
+  // How long a dropped participant's seat is held for them to reconnect (0 leaves at once)
+  reconnectGraceSeconds: process.env.ROOM_RECONNECT_GRACE_SECONDS !== undefined ? parseInt(process.env.ROOM_RECONNECT_GRACE_SECONDS) || 0 : 30,
+  maxEvaluationPairs: parseInt(process.env.MAX_EVALUATION_PAIRS) || 500,
   corsOrigin: process.env.CORS_ORIGIN || '*',
   cleanupInterval: 60000, // 1 minute
   transcriptRetentionHours: 24,
-  translationTimeout: 30000 // 30 seconds timeout for translation requests
+  translationTimeout: 30000, // 30 seconds timeout for translation requests
+  healthCheckInterval: 30000,
+  // Default provider priority, overridable per language pair via TRANSLATION_ROUTES,
+  // e.g. {"hi-en": ["python", "google"], "*": ["python", "google"]}
+  translationProviders: (process.env.TRANSLATION_PROVIDERS || 'python,google,local').split(',').map(p => p.trim()).filter(Boolean),
+  translationRoutes: parseJsonEnv('TRANSLATION_ROUTES', {}),
+  google: {
+    projectId: process.env.GOOGLE_PROJECT_ID,
+    keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS,
+    apiKey: process.env.GOOGLE_TRANSLATE_API_KEY
+  },
+  // Offline ONNX models, e.g. LOCAL_TRANSLATION_MODELS={"hi-en": "opus-mt-hi-en", "*": "nllb-200-distilled-600M"}
+  local: {
+    modelPath: process.env.LOCAL_MODEL_PATH || path.join(__dirname, 'models'),
+    models: parseJsonEnv('LOCAL_TRANSLATION_MODELS', { '*': 'nllb-200-distilled-600M' }),
+    quantized: process.env.LOCAL_MODEL_QUANTIZED !== 'false',
+    preload: process.env.LOCAL_MODEL_PRELOAD === 'true'
+  },
+  languagesFile: process.env.LANGUAGES_FILE || path.join(__dirname, 'languages.json'),
+  translationCacheSize: parseInt(process.env.TRANSLATION_CACHE_SIZE) || 1000,
+  // Set TRANSLATION_CACHE_FILE to keep cached translations across restarts
+  translationCacheFile: process.env.TRANSLATION_CACHE_FILE || null,
+  // Daily JSONL translation logs, split at the per-file cap; oldest files go first past the total cap
+  translationLogMaxFileMb: parseInt(process.env.TRANSLATION_LOG_MAX_FILE_MB) || 20,
+  translationLogMaxTotalMb: parseInt(process.env.TRANSLATION_LOG_MAX_TOTAL_MB) || 500,
+  translationLogRetentionDays: parseInt(process.env.TRANSLATION_LOG_RETENTION_DAYS) || 90,
+  // Outbound ITSM tickets for finished calls - off unless ITSM_WEBHOOK_URL is set.
+  // ITSM_TICKET_TEMPLATE points at a JSON file with {{placeholders}} to replace the default ServiceNow fields.
+  itsm: {
+    url: process.env.ITSM_WEBHOOK_URL || null,
+    username: process.env.ITSM_WEBHOOK_USERNAME,
+    password: process.env.ITSM_WEBHOOK_PASSWORD,
+    token: process.env.ITSM_WEBHOOK_TOKEN,
+    headers: parseJsonEnv('ITSM_WEBHOOK_HEADERS', {}),
+    templateFile: process.env.ITSM_TICKET_TEMPLATE || null,
+    maxAttempts: parseInt(process.env.ITSM_WEBHOOK_MAX_ATTEMPTS) || 5,
+    retryDelayMs: parseInt(process.env.ITSM_WEBHOOK_RETRY_DELAY_MS) || 2000,
+    timeoutMs: parseInt(process.env.ITSM_WEBHOOK_TIMEOUT_MS) || 10000,
+    // How long a ticket waits for the employee's feedback rating before it is sent anyway
+    feedbackWaitSeconds: process.env.ITSM_FEEDBACK_WAIT_SECONDS !== undefined ? parseInt(process.env.ITSM_FEEDBACK_WAIT_SECONDS) || 0 : 60,
+    deadLetterFile: process.env.ITSM_DEAD_LETTER_FILE || path.join(__dirname, 'itsm-dead-letters.jsonl')
+  },
+  // Sessions - without AUTH_SECRET a random key is used and every restart signs everyone out
+  auth: {
+    secret: process.env.AUTH_SECRET || null,
+    sessionHours: parseInt(process.env.AUTH_SESSION_HOURS) || 12,
+    usersFile: process.env.AUTH_USERS_FILE || path.join(__dirname, 'users.json'),
+    // Role given to local sign-ups and Microsoft accounts by email domain
+    roleDomains: parseJsonEnv('AUTH_ROLE_DOMAINS', { 'employee.com': 'employee', 'agent.com': 'agent' }),
+    // Supervisors and admins, e.g. AUTH_USER_ROLES={"lead@agent.com": "supervisor", "ops@agent.com": "admin"}
+    userRoles: parseJsonEnv('AUTH_USER_ROLES', {}),
+    secureCookies: process.env.AUTH_SECURE_COOKIES === 'true',
+    msal: {
+      tenantId: process.env.MSAL_TENANT_ID || 'f5791d91-daca-4d28-8700-680f7a2f8b6a',
+      clientId: process.env.MSAL_CLIENT_ID || 'b8479f68-05f5-4e64-958c-15984e955152',
+      defaultRole: process.env.MSAL_DEFAULT_ROLE || 'employee'
+    }
+  },
+  // Help queue - AGENT_SKILLS_FILE lists each agent's languages and categories (every agent
+  // takes every call without it). Requests nobody matches fall back to manual pick.
+  routing: {
+    skillsFile: process.env.AGENT_SKILLS_FILE || path.join(__dirname, 'agent-skills.json'),
+    fallbackSeconds: parseInt(process.env.ROUTING_FALLBACK_SECONDS) || 120,
+    // An assigned agent who has not joined by then is skipped and the request offered again
+    acceptSeconds: parseInt(process.env.ROUTING_ACCEPT_SECONDS) || 30,
+    intervalMs: 5000
+  },
+  // Agent presence - wrap-up time after each call, and how long a dropped agent keeps their
+  // state (page reloads) before going offline. State changes are logged for occupancy reports.
+  presence: {
+    wrapUpSeconds: process.env.AGENT_WRAP_UP_SECONDS !== undefined ? parseInt(process.env.AGENT_WRAP_UP_SECONDS) || 0 : 60,
+    offlineGraceSeconds: parseInt(process.env.AGENT_OFFLINE_GRACE_SECONDS) || 15,
+    logFile: process.env.AGENT_PRESENCE_LOG || path.join(__dirname, 'agent-presence.jsonl'),
+    logMaxFileMb: parseInt(process.env.AGENT_PRESENCE_LOG_MAX_FILE_MB) || 20
+  },
+  // Denied requests are appended here as JSON lines, rotated to audit-log.1.jsonl... at the size cap
+  auditLogFile: process.env.AUDIT_LOG_FILE || path.join(__dirname, 'audit-log.jsonl'),
+  auditLogMaxFileMb: parseInt(process.env.AUDIT_LOG_MAX_FILE_MB) || 20
 };
 
 // Initialize Express app and server
@@ -26,32 +138,173 @@ const app = express();
 const server = http.createServer(app);
 const io = new Server(server, { cors: { origin: config.corsOrigin } });
 
+const auditLog = createAuditLog({
+  filePath: config.auditLogFile,
+  maxFileBytes: config.auditLogMaxFileMb * 1024 * 1024,
+  readOnly: require.main !== module
+});
+
+// Local and Microsoft sign-in, both ending in a session cookie. Routes check role permissions
+// with auth.requirePermission; refusals go to the audit log.
+const auth = createAuth({
+  ...config.auth,
+  secret: config.auth.secret || crypto.randomBytes(32).toString('hex'),
+  readOnly: require.main !== module,
+  onDenied: event => {
+    auditLog.record({ action: 'access-denied', ...event });
+    console.warn(`🛡️ Denied ${event.method} ${event.path} to ${event.user || 'anonymous'} (${event.role}, needs ${event.permission})`);
+  }
+});
+
 // Middleware
 app.use(express.static(path.join(__dirname, 'public')));
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
+app.use(auth.authenticate);
+io.use(auth.socketMiddleware);
 
 // Global state
 const rooms = new Map();
-const transcripts = new Map();
-const agentAvailability = {};
-let excludedWords = [];
-let pythonServiceHealthy = false;
+const languageRegistry = loadLanguageRegistry(config.languagesFile);
+const routingQueue = createRoutingQueue({
+  skills: loadAgentSkills(config.routing.skillsFile),
+  categories: CATEGORIES.map(({ id, label }) => ({ id, label })),
+  fallbackMs: config.routing.fallbackSeconds * 1000,
+  acceptMs: config.routing.acceptSeconds * 1000
+});
+
+// Calls put agents in-call and then wrap-up; the queue only routes to agents who are available
+const presence = createAgentPresence({
+  wrapUpMs: config.presence.wrapUpSeconds * 1000,
+  offlineGraceMs: config.presence.offlineGraceSeconds * 1000,
+  logFile: config.presence.logFile,
+  logMaxFileBytes: config.presence.logMaxFileMb * 1024 * 1024,
+  readOnly: require.main !== module,
+  onChange: agent => {
+    console.log(`🟢 ${agent.email} is ${agent.state}`);
+    io.to(`agent:${agent.email}`).emit('agent-state', agent);
+    routingQueue.agents()
+      .filter(queued => queued.email === agent.email)
+      .forEach(queued => routingQueue.setAgent(queued.socketId, presenceFlags(agent.state)));
+    emitAgentsOnline();
+    routeQueue();
+  }
+});
+
+// Seats held for participants whose connection dropped; unclaimed ones are left as on hangup
+const roomSeats = createRoomSeats({
+  graceMs: config.reconnectGraceSeconds * 1000,
+  onExpire: seat => {
+    console.log(`🔌 ${seat.email || seat.socketId} did not come back to room ${seat.roomId}, giving up their seat`);
+    removeParticipant(seat.roomId, { id: seat.socketId, role: seat.role, email: seat.email });
+    routeQueue();
+  }
+});
+
+function presenceFlags(state) {
+  return { available: state === 'available', busy: state === 'in-call' || state === 'wrap-up' };
+}
+
+// Translation providers - only those referenced by the default order or a route are enabled
+const pythonProvider = createPythonProvider({
+  url: config.pythonServiceUrl,
+  timeout: config.translationTimeout
+});
+const translationCache = createTranslationCache({
+  maxEntries: config.translationCacheSize,
+  filePath: config.translationCacheFile
+});
+const localProvider = createLocalProvider({ ...config.local, languageCodes: languageRegistry.nllbCodes() });
+const enabledProviders = new Set([
+  ...config.translationProviders,
+  ...Object.values(config.translationRoutes).flat()
+]);
+const translationRouter = createTranslationRouter({
+  providers: [pythonProvider, createGoogleProvider(config.google), localProvider]
+    .filter(provider => enabledProviders.has(provider.name)),
+  routes: config.translationRoutes,
+  defaultOrder: config.translationProviders,
+  timeout: config.translationTimeout
+});
 
 // File paths
-const EXCLUDED_WORDS_FILE = path.join(__dirname, 'excludedWords.json');
-const TRANSLATION_LOG_FILE = path.join(__dirname, 'translation_logs.json');
+const EXCLUDED_WORDS_FILE = process.env.EXCLUDED_WORDS_FILE || path.join(__dirname, 'excludedWords.json');
+const GLOSSARIES_DIR = process.env.GLOSSARIES_DIR || path.join(__dirname, 'glossaries');
+const TRANSLATION_LOG_FILE = process.env.TRANSLATION_LOG_FILE || path.join(__dirname, 'translation_logs.json');
 
 // Directory paths for organized storage
-const TRANSLATION_LOGS_DIR = path.join(__dirname, 'translation-logs');
-const TRANSCRIPTS_DIR = path.join(__dirname, 'transcripts');
+const TRANSLATION_LOGS_DIR = process.env.TRANSLATION_LOGS_DIR || path.join(__dirname, 'translation-logs');
+const TRANSCRIPTS_DIR = process.env.TRANSCRIPTS_DIR || path.join(__dirname, 'transcripts');
+
+const transcripts = createTranscriptStore({ dirPath: TRANSCRIPTS_DIR });
+const transcriptIndex = createTranscriptIndex({ dirPath: TRANSCRIPTS_DIR });
+
+// Translation logs - the old translation_logs.json is still served read-only, but no longer written
+const translationLogs = createTranslationLogStore({
+  dirPath: TRANSLATION_LOGS_DIR,
+  maxFileBytes: config.translationLogMaxFileMb * 1024 * 1024,
+  maxTotalBytes: config.translationLogMaxTotalMb * 1024 * 1024,
+  retentionDays: config.translationLogRetentionDays,
+  legacyFile: TRANSLATION_LOG_FILE
+});
+
+// Enterprise dictionary - any change invalidates cached translations, since they already have replacements applied.
+// Scripts that load this file for its translation pipeline (e.g. the benchmark runner) never write it back.
+const dictionary = createDictionary({
+  filePath: EXCLUDED_WORDS_FILE,
+  onChange: () => translationCache.invalidate(dictionaryVersion()),
+  readOnly: require.main !== module
+});
+const glossaries = createGlossaryRegistry({
+  dirPath: GLOSSARIES_DIR,
+  onChange: () => translationCache.invalidate(dictionaryVersion()),
+  readOnly: require.main !== module
+});
+
+// ITSM tickets for finished calls
+function loadTicketTemplate(filePath) {
+  if (!filePath) return DEFAULT_TICKET_TEMPLATE;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`🎫 Error reading ticket template ${filePath}, using the default:`, error.message);
+    return DEFAULT_TICKET_TEMPLATE;
+  }
+}
+
+function ticketWebhookHeaders({ username, password, token, headers }) {
+  if (token) return { Authorization: `Bearer ${token}`, ...headers };
+  if (username) return { Authorization: `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}`, ...headers };
+  return headers;
+}
+
+const ticketTemplate = loadTicketTemplate(config.itsm.templateFile);
+const ticketWebhook = config.itsm.url ? createTicketWebhook({
+  url: config.itsm.url,
+  headers: ticketWebhookHeaders(config.itsm),
+  maxAttempts: config.itsm.maxAttempts,
+  retryDelayMs: config.itsm.retryDelayMs,
+  timeoutMs: config.itsm.timeoutMs,
+  feedbackWaitMs: config.itsm.feedbackWaitSeconds * 1000,
+  deadLetterFile: config.itsm.deadLetterFile,
+  buildPayload: async (record, feedback) => {
+    const transcript = (await renderTranscript(record, 'txt', languageName)).toString('utf8');
+    return renderTemplate(ticketTemplate, ticketContext(record, { feedback, transcript, languageName }));
+  }
+}) : null;
 
 // ================================
 // UTILITY FUNCTIONS
 // ================================
 
-function normalizeText(text) {
-  return text.normalize('NFKD').replace(/\p{Diacritic}/gu, '').toLowerCase().trim();
+// Display name for a locale such as "hi-IN"
+function languageName(code) {
+  return languageRegistry.getLanguage(String(code || '').split('-')[0])?.name || code || 'unknown';
+}
+
+// Identity set by the Socket.IO auth middleware from the session
+function socketEmail(socket) {
+  return socket.data?.email || null;
 }
 
 function validateInput(text, maxLength = config.maxTranslationLength) {
@@ -72,103 +325,36 @@ function validateInput(text, maxLength = config.maxTranslationLength) {
 }
 
 // ================================
-// PYTHON SERVICE COMMUNICATION
+// DICTIONARY MANAGEMENT
 // ================================
 
-async function checkPythonServiceHealth() {
-  try {
-    const response = await fetch(`${config.pythonServiceUrl}/health`, {
-      method: 'GET',
-      timeout: 5000
-    });
-    
-    if (response.ok) {
-      const health = await response.json();
-      pythonServiceHealthy = health.model_loaded;
-      console.log(`🐍 Python service health: ${pythonServiceHealthy ? 'healthy' : 'unhealthy'}`);
-      return pythonServiceHealthy;
-    }
-    
-    pythonServiceHealthy = false;
-    return false;
-    
-  } catch (error) {
-    console.error('🐍 Python service health check failed:', error.message);
-    pythonServiceHealthy = false;
-    return false;
-  }
+function dictionaryVersion() {
+  const snapshot = { dictionary: dictionary.all(), glossaries: glossaries.snapshot() };
+  return crypto.createHash('sha1').update(JSON.stringify(snapshot)).digest('hex');
 }
 
-async function translateWithPythonService(text, sourceLang, targetLang) {
-  try {
-    const startTime = Date.now();
-    
-    const response = await fetch(`${config.pythonServiceUrl}/translate`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        text: text,
-        source_lang: sourceLang,
-        target_lang: targetLang
-      }),
-      timeout: config.translationTimeout
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({ detail: 'Unknown error' }));
-      throw new Error(`Translation failed: ${errorData.detail || response.statusText}`);
-    }
-
-    const result = await response.json();
-    const durationMs = Date.now() - startTime;
-    
-    console.log(`🐍 Translation completed: ${sourceLang} -> ${targetLang}, duration: ${durationMs}ms`);
-    
-    return {
-      translatedText: result.translated_text,
-      durationMs: durationMs,
-      sentenceCount: result.sentence_count || 1
-    };
-    
-  } catch (error) {
-    console.error('🐍 Python service translation error:', error.message);
-    throw error;
-  }
+// Author recorded on dictionary changes
+function requestAuthor(req) {
+  return req.user?.email || null;
 }
 
-// ================================
-// DICTIONARY MANAGEMENT
-// ================================
-
-function loadExcludedWords() {
-  try {
-    if (fs.existsSync(EXCLUDED_WORDS_FILE)) {
-      excludedWords = JSON.parse(fs.readFileSync(EXCLUDED_WORDS_FILE, 'utf8'));
-      console.log(`📚 Loaded ${excludedWords.length} excluded words`);
-    }
-  } catch (error) {
-    console.error('📚 Error loading excluded words:', error);
-    excludedWords = [];
-  }
+// Room glossaries in priority order, then the global dictionary
+function glossaryEntries(names = []) {
+  return glossaries.resolve(names, dictionary.all());
 }
 
-function saveExcludedWords() {
-  try {
-    fs.writeFileSync(EXCLUDED_WORDS_FILE, JSON.stringify(excludedWords, null, 2), 'utf8');
-    console.log(`📚 Saved ${excludedWords.length} excluded words`);
-  } catch (error) {
-    console.error('📚 Error saving excluded words:', error);
-  }
+// Keeps known glossary names, in the order given
+function normalizeGlossaryNames(value) {
+  const names = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(names.map(name => String(name).trim()))].filter(name => glossaries.has(name));
 }
 
-function applyWordReplacements(text, targetLang) {
+function applyWordReplacements(text, targetLang, entries = dictionary.all()) {
   if (!text || typeof text !== 'string') return text;
   let processedText = text;
   
   try {
-    const validEntries = excludedWords.filter(entry => {
+    const validEntries = entries.filter(entry => {
       const hasTargetLang = entry[targetLang]?.trim();
       const hasEnglish = entry.en?.trim();
       return hasTargetLang && hasEnglish;
@@ -201,125 +387,486 @@ function applyWordReplacements(text, targetLang) {
   return processedText;
 }
 
+// ================================
+// TRANSLATION PIPELINE
+// ================================
+
+// Pairs without a direct route are translated through the registry's pivot language
+async function translateAlongRoute(text, route, { providers } = {}) {
+  let translatedText = text;
+  let sentenceCount = 1;
+  const usedProviders = [];
+  for (let i = 0; i < route.length - 1; i++) {
+    const translationResult = await translationRouter.translate(translatedText, route[i], route[i + 1], { providers });
+    translatedText = translationResult.translatedText;
+    sentenceCount = translationResult.sentenceCount;
+    usedProviders.push(translationResult.provider);
+  }
+  return { translatedText, sentenceCount, provider: usedProviders.join(' > ') };
+}
+
+// `providers` pins the backends to use (e.g. for evaluation); those results bypass the cache,
+// as do all results with `cache: false` (e.g. benchmarks measuring real latency)
+async function translateText(text, sourceLang, targetLang, { glossaries: glossaryNames = [], providers, cache = true } = {}) {
+  const scope = glossaryNames.join(',');
+  const useCache = cache && !providers;
+  const cached = useCache && translationCache.get(text, sourceLang, targetLang, scope);
+  if (cached) {
+    return { ...cached, cached: true };
+  }
+
+  const route = languageRegistry.resolveRoute(sourceLang, targetLang);
+  if (!route) {
+    throw new Error(`Translation failed: ${sourceLang} -> ${targetLang} is not a supported language pair`);
+  }
+
+  // Fold known spelling variants onto one canonical term, then swap glossary terms
+  // for placeholders so the model cannot mangle them
+  const entries = glossaryEntries(glossaryNames);
+  const source = sourceLang === 'auto' ? text : rewritePhrases(text, { sourceLang, entries }).text;
+  const protection = sourceLang === 'auto'
+    ? { text, placeholders: [] }
+    : protectTerms(source, { sourceLang, targetLang, entries });
+
+  let translation = await translateAlongRoute(protection.text, route, { providers });
+  // Dictionary replacements run on the model's own output, before protected terms are restored
+  let translatedText = applyWordReplacements(translation.translatedText, targetLang, entries);
+  const restoration = restoreTerms(translatedText, protection.placeholders);
+
+  if (restoration.missing.length > 0) {
+    console.warn(`📚 Backend dropped ${restoration.missing.length} protected term(s) (${restoration.missing.map(p => p.term).join(', ')}), retranslating without protection`);
+    translation = await translateAlongRoute(source, route, { providers });
+    translatedText = applyWordReplacements(translation.translatedText, targetLang, entries);
+  } else {
+    translatedText = restoration.text;
+  }
+
+  const result = {
+    translatedText,
+    provider: translation.provider,
+    pivot: route.length > 2 ? route.slice(1, -1) : [],
+    protectedTerms: restoration.missing.length > 0 ? 0 : protection.placeholders.length,
+    sentenceCount: translation.sentenceCount
+  };
+  if (useCache) translationCache.set(text, sourceLang, targetLang, result, scope);
+  return { ...result, cached: false };
+}
+
 // ================================
 // LOGGING FUNCTIONS
 // ================================
 
-function logTranslation({ source, target, input, output, durationMs, accuracy, roomId }) {
+function logTranslation({ source, target, input, output, durationMs, reference, quality, roomId, provider, cached }) {
   if (!roomId) return;
 
-  // Get IST (Kolkata) time
-  const istOffset = 5.5 * 60; // IST is UTC+5:30 in minutes
-  const istDate = new Date(Date.now() + (istOffset - new Date().getTimezoneOffset()) * 60000);
-  const logEntry = {
-    timestamp: istDate.toISOString(),
+  translationLogs.append({
+    timestamp: new Date().toISOString(),
+    roomId,
     source,
     target,
     input,
     output,
-    durationMs
-  };
-
-  // Create translation logs directory
-  fs.mkdirSync(TRANSLATION_LOGS_DIR, { recursive: true });
+    durationMs,
+    ...(reference ? { reference, quality } : {}),
+    provider,
+    cached
+  });
+}
 
-  const dateStr = new Date().toISOString().slice(0,10).replace(/-/g, '');
-  const filePath = path.join(TRANSLATION_LOGS_DIR, `${roomId}-${dateStr}.json`);
+// Summary of a call using the room's glossaries, for ticket notes
+function callSummary(roomId, record) {
+  return summarizeCall(record, { entries: glossaryEntries(rooms.get(roomId)?.glossaries) });
+}
 
-  // Write to per-room log file
-  let logs = [];
-  try {
-    if (fs.existsSync(filePath)) {
-      logs = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+// Summarizes the call, marks it as ended and writes its structured transcript.
+// Agents still connected get the summary for their ticket notes, and the ITSM ticket is queued.
+async function saveTranscript(roomId) {
+  const record = transcripts.get(roomId);
+  if (!record) return;
+
+  if (record.utterances.length > 0) {
+    try {
+      transcripts.setSummary(roomId, callSummary(roomId, record));
+      console.log(`🧾 Summarized call in room ${roomId}: ${record.summary.category.label}, ${record.summary.actionItems.length} action items`);
+    } catch (error) {
+      console.error(`🧾 Error summarizing call in room ${roomId}:`, error);
     }
-  } catch (e) {
-    console.error('📝 Error reading translation log file:', e);
   }
-  logs.push(logEntry);
-  try {
-    fs.writeFileSync(filePath, JSON.stringify(logs, null, 2), 'utf8');
-    console.log(`📝 Translation log saved to: ${filePath}`);
-  } catch (error) {
-    console.error('📝 Error writing translation log:', error);
+
+  const filePath = transcripts.end(roomId);
+  if (!filePath) return;
+  transcriptIndex.add(filePath);
+  if (ticketWebhook) ticketWebhook.enqueue(record, path.basename(filePath, '.json'));
+
+  if (record.summary) {
+    const payload = { roomId, transcriptId: path.basename(filePath, '.json'), final: true, summary: record.summary };
+    record.participants.filter(p => p.role === 'agent').forEach(p => io.to(p.id).emit('call-summary', payload));
   }
+}
 
-  // Also append to main translation_logs.json
-  let mainLogs = [];
-  try {
-    if (fs.existsSync(TRANSLATION_LOG_FILE)) {
-      mainLogs = JSON.parse(fs.readFileSync(TRANSLATION_LOG_FILE, 'utf8'));
+// ================================
+// SOCKET UTILITY FUNCTIONS
+// ================================
+
+// Agents free to take a call - in-call, wrap-up and break do not count
+function emitAgentsOnline() {
+  io.emit('agents-online', presence.count('available'));
+}
+
+// Each agent gets the queue entries they are eligible for; waiting employees get their place
+function emitQueue() {
+  routingQueue.agents().forEach(agent => io.to(agent.socketId).emit('active-meetings', routingQueue.visibleTo(agent.socketId)));
+  routingQueue.waiting().forEach(request => io.to(request.socketId).emit('queue-status', routingQueue.toJSON(request)));
+}
+
+// Routing pass - runs on every queue or agent change and on a timer for fallbacks and lapsed offers
+function routeQueue() {
+  const { assignments, fallbacks, expired } = routingQueue.route();
+  expired.forEach(request => {
+    if (request.targetEmail) {
+      lapseTransfer(request);
+    } else {
+      console.log(`🎧 Request ${request.id} (room ${request.roomId}) was not accepted in time, offering it again`);
     }
-  } catch (e) {
-    console.error('📝 Error reading main translation log file:', e);
-  }
-  mainLogs.push(logEntry);
-  try {
-    fs.writeFileSync(TRANSLATION_LOG_FILE, JSON.stringify(mainLogs, null, 2), 'utf8');
-  } catch (error) {
-    console.error('📝 Error writing main translation log:', error);
-  }
+  });
+  fallbacks.forEach(request => console.log(`🎧 Request ${request.id} (${request.language}, ${request.category || 'any category'}) could not be routed, open for manual pick`));
+  assignments.forEach(({ request, agent }) => offerRequest(request, agent));
+  emitQueue();
 }
 
-async function saveTranscript(roomId) {
-  const log = transcripts.get(roomId) || [];
-  if (!log.length) return;
+function offerRequest(request, agent) {
+  console.log(`🎧 Request ${request.id} (room ${request.roomId}, ${request.language}) assigned to ${agent.email}`);
+  io.to(agent.socketId).emit('queue-assigned', routingQueue.toJSON(request));
+  io.to(request.socketId).emit('queue-status', { ...routingQueue.toJSON(request), agent: agent.name || agent.email });
+}
 
-  // Create transcripts directory
-  fs.mkdirSync(TRANSCRIPTS_DIR, { recursive: true });
+// Agents a call can be handed to - available, not already offered a call, and not the one asking
+function transferTargets(socket) {
+  const targets = new Map();
+  routingQueue.agents()
+    .filter(agent => agent.available && !agent.busy && !agent.reservedFor && agent.email !== socketEmail(socket))
+    .forEach(agent => targets.set(agent.email, { email: agent.email, name: agent.name || agent.email, skills: agent.skills }));
+  return Array.from(targets.values());
+}
 
-  const filePath = path.join(TRANSCRIPTS_DIR, `${roomId}-${Date.now()}.txt`);
-  const content = log.map(m =>
-    `[${new Date(m.timestamp).toLocaleString()}] ${m.type === 'translation' ? '[TRANSLATED] ' : ''}${m.sender}: ${m.transcript}`
-  ).join('\n');
+// Puts the employee back in the queue - for one named agent, or by language and skill - with the
+// handing-over agent and their note attached. Returns an error message when the call cannot go.
+function transferCall(socket, roomId, { mode, agent, language, category, note } = {}) {
+  const room = rooms.get(roomId);
+  if (!TRANSFER_MODES.includes(mode)) return 'Choose a warm or cold transfer';
+  if (room.requestId && routingQueue.get(room.requestId)) return 'This call is already waiting for an agent';
+
+  const employeeId = room.participants.find(id => id !== socket.id && io.sockets.sockets.get(id)?.data.role !== 'agent');
+  if (!employeeId) return 'There is nobody on this call to transfer';
+  const targetEmail = agent ? String(agent).trim().toLowerCase() : null;
+  if (targetEmail === socketEmail(socket)) return 'You cannot transfer a call to yourself';
+  if (targetEmail && !transferTargets(socket).some(target => target.email === targetEmail)) {
+    return `${targetEmail} is not available to take the call`;
+  }
+  // The language the employee picked on the call; rooms opened as help requests also know the one they asked in
+  const callLanguage = language || room.languages?.[employeeId] || room.helpRequest?.language || room.lang;
+  if (!callLanguage) return 'The employee has not chosen a language yet, so the call cannot be routed';
+
+  const request = routingQueue.enqueue({
+    roomId,
+    socketId: employeeId,
+    email: socketEmail(io.sockets.sockets.get(employeeId)),
+    language: callLanguage,
+    category: category || room.helpRequest?.category,
+    targetEmail,
+    transfer: {
+      mode,
+      from: socketEmail(socket),
+      fromName: socket.data.name,
+      fromSocketId: socket.id,
+      note: String(note || '').trim().slice(0, 500) || null
+    }
+  });
+  room.requestId = request.id;
+  transcripts.setTransfer(roomId, request.id, {
+    mode,
+    from: socketEmail(socket),
+    to: targetEmail,
+    language: request.language,
+    category: request.category,
+    note: request.transfer.note
+  });
+  console.log(`📞 ${socketEmail(socket)} started a ${mode} transfer of room ${roomId} to ${targetEmail || `the ${request.language} queue`} (request ${request.id})`);
+  emitToParticipants(room, 'transfer-started', { roomId, mode, to: targetEmail, from: socket.data.name || socketEmail(socket) }, socket.id);
 
-  try {
-    fs.writeFileSync(filePath, content, 'utf8');
-    console.log(`📄 Transcript saved to: ${filePath}`);
-  } catch (error) {
-    console.error(`📄 Error saving transcript for room ${roomId}:`, error);
+  // Cold: the agent is done straight away; the employee stays in the room, so the call record goes on
+  if (mode === 'cold') {
+    handleLeave(socket, roomId);
+    socket.emit('call-transferred', { roomId, requestId: request.id });
   }
+  return null;
 }
 
-// ================================
-// SOCKET UTILITY FUNCTIONS
-// ================================
+// The agent taking a transferred call gets everything said so far and the summary; the agent
+// who handed it over hears that they have joined
+function completeTransfer(socket, roomId, request) {
+  const record = transcripts.get(roomId);
+  transcripts.setTransfer(roomId, request.id, { acceptedBy: socketEmail(socket), connectedAt: new Date().toISOString(), outcome: 'connected' });
+  socket.emit('transfer-context', {
+    roomId,
+    transfer: routingQueue.toJSON(request).transfer,
+    utterances: record?.utterances || [],
+    summary: record?.utterances.length ? callSummary(roomId, record) : null
+  });
+  io.to(request.transfer.fromSocketId).emit('transfer-connected', { roomId, agent: socket.data.name || socketEmail(socket) });
+  console.log(`📞 ${socketEmail(socket)} took the ${request.transfer.mode} transfer of room ${roomId} from ${request.transfer.from}`);
+}
 
-function emitAgentsOnline() {
-  let availableCount = 0;
-  for (const email in agentAvailability) {
-    if (agentAvailability[email]) availableCount++;
+// The named agent did not take the call in time. A warm transfer is called off while the first
+// agent is still on the call; otherwise the employee goes to the queue for any matching agent.
+function lapseTransfer(request) {
+  const room = rooms.get(request.roomId);
+  if (request.transfer.mode === 'warm' && room?.participants.includes(request.transfer.fromSocketId)) {
+    routingQueue.remove(request.id);
+    transcripts.setTransfer(request.roomId, request.id, { outcome: 'failed' });
+    emitToParticipants(room, 'transfer-failed', { roomId: request.roomId, agent: request.targetEmail, error: `${request.targetEmail} did not take the call` });
+    console.log(`📞 Warm transfer of room ${request.roomId} to ${request.targetEmail} was not taken, called off`);
+    return;
   }
-  io.emit('agents-online', availableCount);
+  console.log(`📞 Transfer of room ${request.roomId} to ${request.targetEmail} was not taken, offering it to the ${request.language} queue`);
+  transcripts.setTransfer(request.roomId, request.id, { to: null, requeuedAt: new Date().toISOString() });
+  routingQueue.retarget(request.id, null);
+}
+
+// Supervisors follow a call from `monitor:<roomId>` - observers never take a participant slot
+function monitorRoom(roomId) {
+  return `monitor:${roomId}`;
+}
+
+function emitToParticipants(room, event, payload, exceptId = null) {
+  room.participants.filter(id => id !== exceptId).forEach(id => io.to(id).emit(event, payload));
+}
+
+// Who is in a room and the language each of them speaks; held seats keep their owner's details
+function roomParticipants(room) {
+  return room.participants.map(id => {
+    const member = io.sockets.sockets.get(id)?.data || roomSeats.heldBy(id);
+    return {
+      id,
+      role: member?.role || 'guest',
+      email: member?.email || null,
+      name: member?.name || null,
+      language: room.languages?.[id] || null,
+      ...(roomSeats.heldBy(id) ? { reconnecting: true } : {})
+    };
+  });
 }
 
-function emitActiveMeetings() {
-  const meetings = Array.from(rooms.entries())
-    .filter(([_, room]) => room.isPublic && room.participants && room.participants.length > 0)
-    .map(([roomId, room]) => ({ roomId, participants: room.participants.length }));
-  io.emit('active-meetings', meetings);
+function emitParticipants(roomId) {
+  const room = rooms.get(roomId);
+  if (room?.participants) emitToParticipants(room, 'participants', { roomId, participants: roomParticipants(room) });
 }
 
-function forwardToOther(roomId, senderId, event, payload) {
+// One row of the supervisor console; null once nobody is left in the room
+function liveCall(roomId) {
   const room = rooms.get(roomId);
-  if (!room?.participants) return;
+  if (!room?.participants?.length) return null;
+
+  const people = roomParticipants(room);
+  const startedAt = transcripts.get(roomId)?.startedAt || null;
+  const category = CATEGORIES.find(c => c.id === room.helpRequest?.category);
+  return {
+    roomId,
+    startedAt,
+    durationSeconds: startedAt ? Math.round((Date.now() - Date.parse(startedAt)) / 1000) : 0,
+    agent: people.find(p => p.role === 'agent') || null,
+    employee: people.find(p => p.role !== 'agent') || null,
+    participants: people,
+    category: category ? { id: category.id, label: category.label } : null,
+    waiting: Boolean(room.requestId && routingQueue.get(room.requestId)),
+    observers: Object.values(room.observers || {}),
+    utteranceCount: transcripts.get(roomId)?.utterances.length || 0
+  };
+}
+
+function liveCalls() {
+  return Array.from(rooms.keys()).map(liveCall).filter(Boolean);
+}
+
+function emitLiveCalls() {
+  io.to('monitors').emit('live-calls', liveCalls());
+}
+
+// The participants close their monitoring connections; a barge-in is announced as over
+function stopMonitoring(socket, roomId) {
+  socket.leave(monitorRoom(roomId));
+  const room = rooms.get(roomId);
+  const observer = room?.observers?.[socket.id];
+  if (!observer) return;
+
+  delete room.observers[socket.id];
+  if (room.languages) delete room.languages[socket.id];
+  emitToParticipants(room, 'monitor-closed', { roomId, from: socket.id });
+  if (observer.mode === 'barge') {
+    emitToParticipants(room, 'supervisor-left', { roomId, id: socket.id, name: observer.name || observer.email });
+  }
+  if (transcripts.get(roomId)) transcripts.setParticipant(roomId, socket.id, { leftAt: new Date().toISOString() });
+  console.log(`👂 ${observer.email} stopped monitoring room ${roomId}`);
+  emitLiveCalls();
+}
+
+// WebRTC signaling - rooms are a mesh, so each message names the peer it is for and arrives
+// with the sender's ID. Messages without `to` go to everyone else (two-party clients).
+function relaySignal(socket, roomId, to, event, payload) {
+  const room = rooms.get(roomId);
+  if (!room?.participants?.includes(socket.id)) return;
   
-  const other = room.participants.find(id => id !== senderId);
-  if (other) io.to(other).emit(event, payload);
+  const targets = to ? [to].filter(id => room.participants.includes(id)) : room.participants.filter(id => id !== socket.id);
+  targets.forEach(id => io.to(id).emit(event, payload, socket.id));
+}
+
+// Translate a transcript into every language spoken by the other participants. Each listener
+// gets the translation into their own language, the speaker gets them all, and every
+// translation is stored on the utterance's transcript record.
+async function relayTranslation(roomId, entry, utterance) {
+  const room = rooms.get(roomId);
+  if (!room?.participants || !entry.language) return;
+  const sl = entry.language.split('-')[0];
+
+  // Listeners per target language; those who speak the source language already have the original
+  const targets = new Map();
+  room.participants.filter(id => id !== entry.sender).forEach(id => {
+    const language = room.languages?.[id];
+    const tl = language?.split('-')[0];
+    if (!tl || tl === sl) return;
+    if (!targets.has(tl)) targets.set(tl, { language, listeners: [] });
+    targets.get(tl).listeners.push(id);
+  });
+  if (targets.size === 0) return;
+
+  const validation = validateInput(entry.transcript);
+  if (!validation.isValid) return;
+
+  await Promise.all(Array.from(targets, ([tl, { language, listeners }]) =>
+    translateFor(roomId, room, entry, utterance, validation.text, sl, tl, language, listeners)));
+}
+
+async function translateFor(roomId, room, entry, utterance, text, sl, tl, targetLanguage, listeners) {
+  try {
+    const startTime = Date.now();
+    const result = await translateText(text, sl, tl, { glossaries: room.glossaries });
+    const durationMs = Date.now() - startTime;
+
+    logTranslation({
+      source: sl,
+      target: tl,
+      input: entry.transcript,
+      output: result.translatedText,
+      durationMs,
+      roomId,
+      provider: result.provider,
+      cached: result.cached
+    });
+
+    const translation = {
+      roomId,
+      sender: entry.sender,
+      type: 'translation',
+      transcript: result.translatedText,
+      language: targetLanguage,
+      timestamp: entry.timestamp,
+      provider: result.provider
+    };
+    if (utterance) {
+      addTranslation(utterance, {
+        text: result.translatedText,
+        language: targetLanguage,
+        provider: result.provider,
+        translatedAt: new Date().toISOString()
+      });
+    }
+
+    const payload = { original: entry, translation };
+    [entry.sender, ...listeners].forEach(id => io.to(id).emit('translation', payload));
+    io.to(monitorRoom(roomId)).emit('monitor-translation', payload);
+    console.log(`✅ Relayed translation in room ${roomId}: ${sl} -> ${tl} via ${result.provider} to ${listeners.length} listener(s), duration: ${durationMs}ms`);
+  } catch (error) {
+    console.error(`❌ Translation relay failed in room ${roomId} (${sl} -> ${tl}):`, error.message);
+  }
 }
 
 function handleLeave(socket, roomId) {
+  socket.leave(roomId);
+  removeParticipant(roomId, { id: socket.id, role: socket.data.role, email: socketEmail(socket) });
+}
+
+// Takes someone out of a room - on hangup, or once a held seat is given up
+function removeParticipant(roomId, { id, role, email }) {
   const room = rooms.get(roomId);
-  if (!room?.participants) return;
+  if (!room?.participants?.includes(id)) return;
   
-  room.participants = room.participants.filter(id => id !== socket.id);
+  roomSeats.release(roomId, id);
+  room.participants = room.participants.filter(participantId => participantId !== id);
+  if (room.languages) delete room.languages[id];
+  // An employee who hangs up while waiting leaves the queue
+  const request = room.requestId && routingQueue.get(room.requestId);
+  if (request && request.socketId === id) {
+    routingQueue.remove(request.id);
+    if (request.assignedTo) io.to(request.assignedTo).emit('queue-cancelled', routingQueue.toJSON(request));
+    if (request.transfer) transcripts.setTransfer(roomId, request.id, { outcome: 'cancelled' });
+    console.log(`🎧 Request ${request.id} (room ${roomId}) cancelled by the employee`);
+  }
+  if (role === 'agent') presence.endCall(email);
+  if (transcripts.get(roomId)) transcripts.setParticipant(roomId, id, { leftAt: new Date().toISOString() });
   rooms.set(roomId, room);
-  socket.to(roomId).emit('user-disconnected');
+  emitToParticipants(room, 'user-disconnected', { id });
+  emitParticipants(roomId);
   
   if (room.participants.length === 0) {
+    io.to(monitorRoom(roomId)).emit('monitor-ended', { roomId });
+    io.in(monitorRoom(roomId)).socketsLeave(monitorRoom(roomId));
     saveTranscript(roomId).catch(console.error);
     rooms.delete(roomId);
-    transcripts.delete(roomId);
   }
+  emitLiveCalls();
+}
+
+// A dropped participant keeps their seat for the grace period; the others hear they are reconnecting.
+// False when there is no seat to hold, and the participant leaves as usual.
+function holdSeat(socket, roomId) {
+  const room = rooms.get(roomId);
+  if (!room?.participants?.includes(socket.id) || !roomSeats.hold(roomId, socket.id)) return false;
+
+  emitToParticipants(room, 'user-reconnecting', { id: socket.id, graceSeconds: config.reconnectGraceSeconds }, socket.id);
+  emitParticipants(roomId);
+  console.log(`🔌 Holding ${socketEmail(socket) || socket.id}'s seat in room ${roomId} for ${config.reconnectGraceSeconds}s`);
+  emitLiveCalls();
+  return true;
+}
+
+// The participant takes their seat back on a new connection: the room, the queue and the
+// transcript move over to it, and the old connection is dropped if the server still has it
+function resumeSeat(socket, seat) {
+  const { roomId, socketId: previousId } = seat;
+  const room = rooms.get(roomId);
+  room.participants = room.participants.map(id => (id === previousId ? socket.id : id));
+  if (room.languages?.[previousId]) {
+    room.languages[socket.id] = room.languages[previousId];
+    delete room.languages[previousId];
+  }
+  routingQueue.replaceSocket(previousId, socket.id);
+  if (transcripts.get(roomId)) transcripts.renameParticipant(roomId, previousId, socket.id);
+  io.sockets.sockets.get(previousId)?.disconnect(true);
+
+  socket.join(roomId);
+  if (socket.data.role === 'agent') presence.startCall(socketEmail(socket));
+  const people = roomParticipants(room);
+  socket.emit('resumed', {
+    roomId,
+    token: roomSeats.issue(roomId, { socketId: socket.id, email: socketEmail(socket), role: socket.data.role, name: socket.data.name }),
+    language: room.languages?.[socket.id] || null,
+    participants: people.filter(p => p.id !== socket.id),
+    history: transcripts.get(roomId)?.utterances || []
+  });
+  // Everyone else calls the new connection, as they would a newcomer
+  emitToParticipants(room, 'user-resumed', { ...people.find(p => p.id === socket.id), previousId }, socket.id);
+  emitParticipants(roomId);
+  console.log(`🔌 ${socketEmail(socket) || socket.id} is back in room ${roomId}`);
 }
 
 // ================================
@@ -328,29 +875,18 @@ function handleLeave(socket, roomId) {
 
 function performCleanup() {
   try {
-    // Clean up disconnected agents
-    const connectedEmails = new Set();
-    for (const socket of io.sockets.sockets.values()) {
-      const email = socket.handshake?.auth?.email || socket.data?.email;
-      if (email) connectedEmails.add(email);
-    }
-    
-    for (const email in agentAvailability) {
-      if (!connectedEmails.has(email)) {
-        delete agentAvailability[email];
-      }
-    }
-    
     // Clean up old transcripts
     const cutoffTime = Date.now() - (config.transcriptRetentionHours * 60 * 60 * 1000);
-    for (const [roomId, transcript] of transcripts.entries()) {
-      if (transcript.length > 0 && transcript[0].timestamp < cutoffTime) {
+    for (const [roomId, record] of transcripts.entries()) {
+      if (Date.parse(record.startedAt) < cutoffTime) {
         saveTranscript(roomId).catch(console.error);
-        transcripts.delete(roomId);
       }
     }
     
-    console.log(`🧹 Cleanup completed. Active rooms: ${rooms.size}, Active transcripts: ${transcripts.size}`);
+    // Persist translation cache if enabled
+    translationCache.save();
+    
+    console.log(`🧹 Cleanup completed. Active rooms: ${rooms.size}, Active transcripts: ${transcripts.entries().length}`);
   } catch (error) {
     console.error('🧹 Error during cleanup:', error);
   }
@@ -364,21 +900,119 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'home.html'));
 });
 
-// Health check endpoint
+// Sign-in - local accounts and Microsoft (MSAL) ID tokens both start a session cookie.
+// The token is returned as well, for API clients that send it as a Bearer token.
+function startSession(res, user, status = 200) {
+  const token = auth.issueToken(user);
+  auth.setSessionCookie(res, token);
+  console.log(`🔐 ${user.email} signed in (${user.role}, ${user.provider})`);
+  res.status(status).json({ user, token });
+}
+
+function sendAuthError(res, error, action) {
+  if (error instanceof AuthError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`🔐 Error during ${action}:`, error);
+  res.status(500).json({ error: `Failed to ${action}` });
+}
+
+app.post('/api/auth/register', (req, res) => {
+  try {
+    startSession(res, auth.register(req.body), 201);
+  } catch (error) {
+    sendAuthError(res, error, 'sign up');
+  }
+});
+
+app.post('/api/auth/login', (req, res) => {
+  try {
+    startSession(res, auth.login(req.body));
+  } catch (error) {
+    sendAuthError(res, error, 'sign in');
+  }
+});
+
+// Body: { idToken } from MSAL's loginPopup
+app.post('/api/auth/microsoft', async (req, res) => {
+  try {
+    if (typeof req.body?.idToken !== 'string') {
+      return res.status(400).json({ error: 'idToken is required' });
+    }
+    startSession(res, await auth.loginWithMicrosoft(req.body.idToken));
+  } catch (error) {
+    sendAuthError(res, error, 'sign in with Microsoft');
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  auth.clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+// The signed-in user and what their role allows - pages use it to hide controls
+app.get('/api/auth/me', auth.requireUser, (req, res) => {
+  res.json({ user: req.user, permissions: permissionsFor(req.user.role) });
+});
+
+// Denied requests, newest first. Filters: ?from=&to=, user, role, outcome, permission; page, pageSize
+app.get('/api/audit-log', auth.requirePermission('audit:read'), async (req, res) => {
+  try {
+    res.json(await auditLog.query(req.query));
+  } catch (error) {
+    console.error('🛡️ Error reading audit log:', error);
+    res.status(500).json({ error: 'Failed to read audit log' });
+  }
+});
+
+// Agent presence and occupancy (in-call + wrap-up over that plus available time), per agent.
+// ?from=&to= (date or ISO timestamp) - the last 24 hours by default
+app.get('/api/agents/presence', auth.requirePermission('presence:read'), async (req, res) => {
+  try {
+    res.json({ agents: await presence.occupancy(req.query) });
+  } catch (error) {
+    console.error('🟢 Error reading agent presence:', error);
+    res.status(500).json({ error: 'Failed to read agent presence' });
+  }
+});
+
+// One agent's state history for the same window
+app.get('/api/agents/:email/presence', auth.requirePermission('presence:read'), async (req, res) => {
+  try {
+    res.json(await presence.history(req.params.email.toLowerCase(), req.query));
+  } catch (error) {
+    console.error('🟢 Error reading agent presence history:', error);
+    res.status(500).json({ error: 'Failed to read agent presence history' });
+  }
+});
+
+// Health check endpoint - open for load balancers; the details need status:read
 app.get('/health', (req, res) => {
   const health = {
     status: 'ok',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    pythonServiceHealthy: pythonServiceHealthy,
-    activeRooms: rooms.size,
-    agentsOnline: Object.values(agentAvailability).filter(Boolean).length
+    uptime: process.uptime()
   };
-  res.json(health);
+  if (!can(req.user?.role, 'status:read')) {
+    return res.json(health);
+  }
+  res.json({
+    ...health,
+    pythonServiceHealthy: pythonProvider.isHealthy(),
+    translationProviders: translationRouter.status(),
+    translationCache: translationCache.status(),
+    translationLogs: translationLogs.status(),
+    itsmWebhook: ticketWebhook ? ticketWebhook.status() : { enabled: false },
+    transcriptIndex: transcriptIndex.status(),
+    activeRooms: rooms.size,
+    routingQueue: routingQueue.status(),
+    agentsOnline: presence.count('available'),
+    agentPresence: presence.status()
+  });
 });
 
 // Live stats API
-app.get('/api/live-stats', (req, res) => {
+app.get('/api/live-stats', auth.requirePermission('status:read'), (req, res) => {
   let liveCalls = 0;
   let agentSet = new Set();
   
@@ -391,9 +1025,8 @@ app.get('/api/live-stats', (req, res) => {
       for (const socketId of room.participants) {
         const socket = io.sockets.sockets.get(socketId);
         if (socket) {
-          const email = socket.handshake?.auth?.email || socket.data?.email;
-          if (email && !/@employee\.com$/i.test(email)) {
-            agentSet.add(email);
+          if (socket.data.role === 'agent') {
+            agentSet.add(socketEmail(socket));
           }
         }
       }
@@ -403,51 +1036,49 @@ app.get('/api/live-stats', (req, res) => {
   res.json({ liveCalls, agentsOnline: agentSet.size });
 });
 
-// Translation API - Updated to use Python microservice
-app.post('/api/translate', async (req, res) => {
+// Supervisor console - every active room with its agent, employee language and duration.
+// Live updates and the transcript stream come over the socket ('monitor-subscribe', 'monitor-join').
+app.get('/api/live-calls', auth.requirePermission('calls:monitor'), (req, res) => {
+  res.json({ calls: liveCalls() });
+});
+
+// Translation API - routed through the configured providers with failover
+app.post('/api/translate', auth.requireUser, async (req, res) => {
   try {
     const { text, source = 'auto', target = 'en', reference, roomId } = req.body;
+    // A room's glossaries and translation log are only for the people on that call
+    const room = roomId ? rooms.get(roomId) : null;
+    if (roomId && !(room && roomParticipants(room).some(p => p.email === req.user.email))) {
+      auditLog.record({ action: 'access-denied', outcome: 'forbidden', method: req.method, path: req.originalUrl, roomId, user: req.user.email, role: req.user.role, ip: req.ip });
+      return res.status(403).json({ error: 'You are not a participant of this room' });
+    }
+    // Explicit glossaries win over those of the room the request belongs to
+    const glossaryNames = normalizeGlossaryNames(req.body.glossaries ?? room?.glossaries);
     
     // Validate input
     const validation = validateInput(text);
     if (!validation.isValid) {
       return res.status(400).json({ error: validation.error });
     }
-
-    // Check if Python service is available
-    if (!pythonServiceHealthy) {
-      const healthCheck = await checkPythonServiceHealth();
-      if (!healthCheck) {
-        return res.status(503).json({ 
-          error: 'Translation service unavailable - Python microservice is not responding' 
-        });
-      }
+    if (typeof reference === 'string' && !isScorable(reference)) {
+      return res.status(400).json({ error: `Reference is too long to score (max ${MAX_SCORED_WORDS} words)` });
     }
 
     const startTime = Date.now();
     const sl = source.split('-')[0];
     const tl = target.split('-')[0];
     
-    console.log(`🔄 Translating with Python service: ${sl} -> ${tl}`);
+    console.log(`🔄 Translating: ${sl} -> ${tl} (route: ${(languageRegistry.resolveRoute(sl, tl) || ['unsupported']).join(' > ')})`);
     
-    // Call Python microservice for translation
-    const translationResult = await translateWithPythonService(validation.text, sl, tl);
-    let translatedText = translationResult.translatedText;
-
-    // Apply enterprise dictionary replacements
-    translatedText = applyWordReplacements(translatedText, tl);
+    const translationResult = await translateText(validation.text, sl, tl, { glossaries: glossaryNames });
+    const translatedText = translationResult.translatedText;
 
     const durationMs = Date.now() - startTime;
 
-    // Calculate accuracy if reference provided
-    let accuracy = null;
-    if (reference) {
-      // Simple word overlap accuracy - you can implement BLEU score here
-      const refWords = reference.toLowerCase().split(/\s+/);
-      const outWords = translatedText.toLowerCase().split(/\s+/);
-      const intersection = refWords.filter(word => outWords.includes(word));
-      accuracy = intersection.length / Math.max(refWords.length, outWords.length);
-    }
+    // Sentence-level BLEU, chrF and TER against the reference, when one is given
+    const quality = typeof reference === 'string' && reference.trim()
+      ? scoreSentence(translatedText, reference)
+      : null;
 
     // Log translation (always log, even if no roomId)
     let logRoomId = roomId;
@@ -462,18 +1093,29 @@ app.post('/api/translate', async (req, res) => {
       input: text, 
       output: translatedText, 
       durationMs, 
-      accuracy, 
-      roomId: logRoomId 
+      reference: quality ? reference : undefined,
+      quality,
+      roomId: logRoomId,
+      provider: translationResult.provider,
+      cached: translationResult.cached
     });
     
-    console.log(`✅ Translation completed: ${sl} -> ${tl}, duration: ${durationMs}ms`);
-    res.json({ translated: translatedText });
+    console.log(`✅ Translation completed: ${sl} -> ${tl} via ${translationResult.provider}${translationResult.cached ? ' (cached)' : ''}, duration: ${durationMs}ms`);
+    res.json({
+      translated: translatedText,
+      provider: translationResult.provider,
+      cached: translationResult.cached,
+      ...(quality ? { quality } : {})
+    });
     
   } catch (err) {
     console.error('❌ Translation error:', err);
     
     // Provide more specific error messages
-    if (err.message.includes('timeout')) {
+    if (err instanceof NoProviderError) {
+      const allTimedOut = err.attempts.length > 0 && err.attempts.every(a => a.error.includes('timeout'));
+      res.status(allTimedOut ? 504 : 503).json({ error: err.message, attempts: err.attempts });
+    } else if (err.message.includes('timeout')) {
       res.status(504).json({ error: 'Translation timeout - request took too long' });
     } else if (err.message.includes('Translation failed')) {
       res.status(400).json({ error: err.message });
@@ -483,10 +1125,80 @@ app.post('/api/translate', async (req, res) => {
   }
 });
 
+// Evaluation API - translates a batch of { source, reference } pairs and returns corpus-level
+// BLEU, chrF and TER per language pair. Pairs take sourceLang/targetLang or the batch defaults.
+// `providers: ["python", "google"]` scores each backend separately; otherwise the normal
+// pipeline is used, and a pair's own `hypothesis` is scored instead of translating it.
+// Pairs longer than the scoring limit count as failed.
+app.post('/api/evaluate', auth.requirePermission('quality:evaluate'), async (req, res) => {
+  const { pairs, sourceLang, targetLang, providers, glossaries: requestedGlossaries, details = false } = req.body || {};
+  if (!Array.isArray(pairs) || pairs.length === 0) {
+    return res.status(400).json({ error: 'pairs must be a non-empty array of { source, reference }' });
+  }
+  if (pairs.length > config.maxEvaluationPairs) {
+    return res.status(400).json({ error: `Too many pairs (max ${config.maxEvaluationPairs})` });
+  }
+  const unknown = (providers || []).filter(name => !translationRouter.getProvider(name));
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown or disabled providers: ${unknown.join(', ')}` });
+  }
+
+  const glossaryNames = normalizeGlossaryNames(requestedGlossaries);
+  const systems = Array.isArray(providers) && providers.length ? providers : ['pipeline'];
+  const results = [];
+
+  for (const system of systems) {
+    const byPair = {};
+    const items = [];
+    for (const [index, pair] of pairs.entries()) {
+      const sl = String(pair.sourceLang || sourceLang || '').split('-')[0];
+      const tl = String(pair.targetLang || targetLang || '').split('-')[0];
+      const key = `${sl}-${tl}`;
+      byPair[key] = byPair[key] || { scored: [], failed: 0 };
+
+      const validation = validateInput(pair.source);
+      if (!validation.isValid || typeof pair.reference !== 'string' || !sl || !tl) {
+        byPair[key].failed++;
+        items.push({ index, pair: key, error: validation.error || 'reference, sourceLang and targetLang are required' });
+        continue;
+      }
+      if (!isScorable(pair.reference)) {
+        byPair[key].failed++;
+        items.push({ index, pair: key, error: `reference is too long to score (max ${MAX_SCORED_WORDS} words)` });
+        continue;
+      }
+
+      try {
+        const startTime = Date.now();
+        const hypothesis = system === 'pipeline' && typeof pair.hypothesis === 'string'
+          ? pair.hypothesis
+          : (await translateText(validation.text, sl, tl, {
+              glossaries: glossaryNames,
+              providers: system === 'pipeline' ? undefined : [system]
+            })).translatedText;
+        if (!isScorable(hypothesis)) throw new Error(`hypothesis is too long to score (max ${MAX_SCORED_WORDS} words)`);
+        byPair[key].scored.push({ hypothesis, reference: pair.reference });
+        items.push({ index, pair: key, hypothesis, durationMs: Date.now() - startTime, ...scoreSentence(hypothesis, pair.reference) });
+      } catch (error) {
+        byPair[key].failed++;
+        items.push({ index, pair: key, error: error.message });
+      }
+    }
+
+    const scores = Object.fromEntries(Object.entries(byPair).map(([key, { scored, failed }]) =>
+      [key, { ...scoreCorpus(scored), failed }]
+    ));
+    results.push({ provider: system, pairs: scores, ...(details ? { items } : {}) });
+    console.log(`📏 Evaluated ${pairs.length} pairs with ${system}: ${Object.entries(scores).map(([key, s]) => `${key} BLEU ${s.bleu} chrF ${s.chrf} TER ${s.ter}`).join('; ')}`);
+  }
+
+  res.json({ results });
+});
+
 // Python service status endpoint
-app.get('/api/python-service-status', async (req, res) => {
+app.get('/api/python-service-status', auth.requirePermission('status:read'), async (req, res) => {
   try {
-    const isHealthy = await checkPythonServiceHealth();
+    const isHealthy = await pythonProvider.checkHealth();
     res.json({
       url: config.pythonServiceUrl,
       healthy: isHealthy,
@@ -502,81 +1214,314 @@ app.get('/api/python-service-status', async (req, res) => {
   }
 });
 
-// Translation logs API
-app.get('/api/translation-logs', (req, res) => {
+// Translation logs API - newest first.
+// Filters: ?from=&to= (date or ISO timestamp), roomId, source, target, pair=hi-en, minDurationMs; page, pageSize
+app.get('/api/translation-logs', auth.requirePermission('logs:read'), async (req, res) => {
   try {
-    const logs = fs.existsSync(TRANSLATION_LOG_FILE)
-      ? JSON.parse(fs.readFileSync(TRANSLATION_LOG_FILE, 'utf8'))
-      : [];
-    res.json(logs);
+    res.json(await translationLogs.query(req.query));
   } catch (err) {
     console.error('📝 Error reading translation logs:', err);
     res.status(500).json({ error: 'Failed to read translation logs' });
   }
 });
 
-// Dictionary management routes
-app.get('/api/dictionary', (req, res) => {
-  res.json(excludedWords);
+// Past calls - newest first. Filters: ?from=&to= (date or ISO timestamp), agent, employee (email),
+// language, q (keywords, matched in both the original and the translated text); page, pageSize
+app.get('/api/transcripts', auth.requirePermission('transcripts:read'), (req, res) => {
+  try {
+    res.json(transcriptIndex.search(req.query));
+  } catch (error) {
+    console.error('🔎 Error searching transcripts:', error);
+    res.status(500).json({ error: 'Failed to search transcripts' });
+  }
+});
+
+// A saved transcript by id (the file name, e.g. "ab12cd34-1755585261570")
+app.get('/api/transcripts/:id', auth.requirePermission('transcripts:read'), (req, res) => {
+  const record = transcriptIndex.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: 'Transcript not found' });
+  }
+  res.json(record);
 });
 
-app.post('/api/dictionary', (req, res) => {
+// End-of-call summary by transcript id or room ID. Saved calls return the stored summary;
+// a live call, or one saved before summaries existed, is summarized on the fly (final: false)
+app.get('/api/transcripts/:roomId/summary', auth.requirePermission('transcripts:read'), (req, res) => {
   try {
-    const wordEntry = req.body;
-    if (!wordEntry.en) {
-      return res.status(400).json({ error: 'English word is required' });
+    const saved = transcriptIndex.get(req.params.roomId);
+    const record = saved || transcripts.find(req.params.roomId);
+    if (!record) {
+      return res.status(404).json({ error: 'Transcript not found' });
     }
-    
-    const existingIndex = excludedWords.findIndex(word =>
-      word.en?.toLowerCase() === wordEntry.en.toLowerCase()
-    );
-    
-    if (existingIndex !== -1) {
-      excludedWords[existingIndex] = { ...excludedWords[existingIndex], ...wordEntry };
-    } else {
-      excludedWords.push(wordEntry);
+
+    const transcriptId = saved ? saved.id : null;
+    if (record.summary) {
+      return res.json({ roomId: record.roomId, transcriptId, final: true, summary: record.summary });
     }
-    
-    saveExcludedWords();
-    res.json({ message: 'Word added successfully', wordCount: excludedWords.length });
+    res.json({ roomId: record.roomId, transcriptId, final: false, summary: callSummary(record.roomId, record) });
   } catch (error) {
-    console.error('📚 Error adding word:', error);
-    res.status(500).json({ error: 'Failed to add word' });
+    console.error('🧾 Error summarizing transcript:', error);
+    res.status(500).json({ error: 'Failed to summarize transcript' });
   }
 });
 
-app.delete('/api/dictionary/:index', (req, res) => {
+// Transcript export - ?format=txt|srt|vtt|csv|docx. Takes a transcript id or a room ID;
+// a live call exports what has been said so far
+app.get('/api/transcripts/:roomId/export', auth.requirePermission('transcripts:read'), async (req, res) => {
   try {
-    const index = parseInt(req.params.index);
-    if (index < 0 || index >= excludedWords.length) {
+    const format = String(req.query.format || 'txt').toLowerCase();
+    if (!TRANSCRIPT_FORMATS[format]) {
+      return res.status(400).json({ error: 'Unsupported format (use txt, srt, vtt, csv or docx)' });
+    }
+
+    const record = transcriptIndex.get(req.params.roomId) || transcripts.find(req.params.roomId);
+    if (!record) {
+      return res.status(404).json({ error: 'Transcript not found' });
+    }
+
+    const buffer = await renderTranscript(record, format, languageName);
+    const filename = `linguera-transcript-${record.roomId}-${record.startedAt.slice(0, 10)}.${TRANSCRIPT_FORMATS[format].extension}`;
+    res.set('Content-Type', TRANSCRIPT_FORMATS[format].contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename.replace(/[^\w.-]/g, '_')}"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('📄 Error exporting transcript:', error);
+    res.status(500).json({ error: 'Failed to export transcript' });
+  }
+});
+
+// Language registry - drives client dropdowns, ASR/TTS locales and script validation
+app.get('/api/languages', (req, res) => {
+  res.json(languageRegistry.toJSON());
+});
+
+// Categories employees can pick when asking for help; they steer routing to skilled agents
+app.get('/api/help-categories', (req, res) => {
+  res.json(CATEGORIES.map(({ id, label }) => ({ id, label })));
+});
+
+// Translation provider status endpoint
+app.get('/api/translation-providers', auth.requirePermission('status:read'), async (req, res) => {
+  if (req.query.refresh === 'true') {
+    await translationRouter.checkAll();
+  }
+  res.json({
+    defaultOrder: config.translationProviders,
+    routes: config.translationRoutes,
+    providers: translationRouter.status()
+  });
+});
+
+// Dictionary routes - CRUD, search and import/export, shared by the global dictionary
+// (/api/dictionary) and every domain glossary (/api/glossaries/:name)
+function createDictionaryRoutes(resolveDictionary) {
+  const router = express.Router({ mergeParams: true });
+
+  router.use(auth.requirePermission('dictionary:read'));
+  router.use((req, res, next) => {
+    req.dictionary = resolveDictionary(req);
+    if (!req.dictionary) {
+      return res.status(404).json({ error: 'Glossary not found' });
+    }
+    next();
+  });
+
+  // Without query parameters the full list is returned; ?q=&lang=&page=&pageSize= returns a page of matches
+  router.get('/', (req, res) => {
+    const { q, lang, page, pageSize } = req.query;
+    if (q === undefined && lang === undefined && page === undefined) {
+      return res.json(req.dictionary.all());
+    }
+    res.json(req.dictionary.search({ q, lang, page, pageSize }));
+  });
+
+  // Glossary export - ?format=csv|xlsx|tbx
+  router.get('/export', async (req, res) => {
+    try {
+      const format = detectFormat(req.query.format || 'csv');
+      if (!format) {
+        return res.status(400).json({ error: 'Unsupported format (use csv, xlsx or tbx)' });
+      }
+
+      const buffer = await serializeGlossary(req.dictionary.all(), format, languageRegistry.toJSON().languages);
+      const filename = `linguera-${req.params.name || 'dictionary'}-${new Date().toISOString().slice(0, 10)}.${GLOSSARY_FORMATS[format].extension}`;
+      res.set('Content-Type', GLOSSARY_FORMATS[format].contentType);
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(buffer);
+    } catch (error) {
+      console.error('📚 Error exporting dictionary:', error);
+      res.status(500).json({ error: 'Failed to export dictionary' });
+    }
+  });
+
+  // Glossary import - the raw file is the request body. Runs as a dry-run preview
+  // unless ?dryRun=false; conflicts are skipped unless ?onConflict=overwrite.
+  router.post('/import', auth.requirePermission('dictionary:edit'), express.raw({ type: () => true, limit: '10mb' }), async (req, res) => {
+    try {
+      const format = detectFormat(req.query.format, req.query.filename);
+      if (!format) {
+        return res.status(400).json({ error: 'Unsupported format (use csv, xlsx or tbx)' });
+      }
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Glossary file is required' });
+      }
+
+      let incoming;
+      try {
+        incoming = await parseGlossary(req.body, format, languageRegistry.toJSON().languages);
+      } catch (error) {
+        return res.status(400).json({ error: `Could not read ${format.toUpperCase()} file: ${error.message}` });
+      }
+
+      const plan = req.dictionary.planImport(incoming);
+      const summary = {
+        rows: incoming.length,
+        new: plan.new.length,
+        changed: plan.changed.length,
+        conflicts: plan.conflicts.length,
+        unchanged: plan.unchanged.length,
+        invalid: plan.invalid.length
+      };
+
+      if (req.query.dryRun !== 'false') {
+        return res.json({ dryRun: true, summary, ...plan });
+      }
+
+      const result = req.dictionary.applyImport(plan, requestAuthor(req), {
+        overwriteConflicts: req.query.onConflict === 'overwrite'
+      });
+      console.log(`📚 Imported ${format.toUpperCase()} glossary: ${result.added} added, ${result.updated} updated, ${result.skipped} skipped`);
+      res.json({ dryRun: false, summary, result, wordCount: req.dictionary.all().length });
+    } catch (error) {
+      console.error('📚 Error importing dictionary:', error);
+      res.status(500).json({ error: 'Failed to import dictionary' });
+    }
+  });
+
+  router.get('/:id', (req, res) => {
+    const entry = req.dictionary.get(req.params.id);
+    if (!entry) {
       return res.status(404).json({ error: 'Word not found' });
     }
+    res.json(entry);
+  });
+
+  router.post('/', auth.requirePermission('dictionary:edit'), (req, res) => {
+    try {
+      const wordEntry = req.body;
+      if (!wordEntry.en) {
+        return res.status(400).json({ error: 'English word is required' });
+      }
     
-    excludedWords.splice(index, 1);
-    saveExcludedWords();
-    res.json({ message: 'Word deleted successfully', wordCount: excludedWords.length });
-  } catch (error) {
-    console.error('📚 Error deleting word:', error);
-    res.status(500).json({ error: 'Failed to delete word' });
+      const { entry, created } = req.dictionary.upsert(wordEntry, requestAuthor(req));
+      res.status(created ? 201 : 200).json({
+        message: created ? 'Word added successfully' : 'Word updated successfully',
+        wordCount: req.dictionary.all().length,
+        entry
+      });
+    } catch (error) {
+      console.error('📚 Error adding word:', error);
+      res.status(500).json({ error: 'Failed to add word' });
+    }
+  });
+
+  // PUT replaces all renderings of an entry, PATCH merges the given ones.
+  // Send the entry's last known `updatedAt` to get a 409 instead of overwriting someone else's edit.
+  function updateDictionaryEntry(replace) {
+    return (req, res) => {
+      try {
+        const { updatedAt, ...fields } = req.body || {};
+        if (replace && !fields.en) {
+          return res.status(400).json({ error: 'English word is required' });
+        }
+        if ('en' in fields && !String(fields.en).trim()) {
+          return res.status(400).json({ error: 'English word cannot be empty' });
+        }
+        const duplicate = fields.en && req.dictionary.findByEnglish(fields.en);
+        if (duplicate && duplicate.id !== req.params.id) {
+          return res.status(409).json({ error: 'Another entry already uses this English word', entry: duplicate });
+        }
+      
+        const entry = req.dictionary.update(req.params.id, fields, requestAuthor(req), {
+          replace,
+          expectedUpdatedAt: updatedAt
+        });
+        if (!entry) {
+          return res.status(404).json({ error: 'Word not found' });
+        }
+        res.json({ message: 'Word updated successfully', entry });
+      } catch (error) {
+        if (error instanceof DictionaryConflictError) {
+          return res.status(409).json({ error: error.message, entry: error.entry });
+        }
+        console.error('📚 Error updating word:', error);
+        res.status(500).json({ error: 'Failed to update word' });
+      }
+    };
   }
+
+  router.put('/:id', auth.requirePermission('dictionary:edit'), updateDictionaryEntry(true));
+  router.patch('/:id', auth.requirePermission('dictionary:edit'), updateDictionaryEntry(false));
+
+  router.delete('/:id', auth.requirePermission('dictionary:delete'), (req, res) => {
+    try {
+      const removed = req.dictionary.remove(req.params.id);
+      if (!removed) {
+        return res.status(404).json({ error: 'Word not found' });
+      }
+    
+      res.json({ message: 'Word deleted successfully', wordCount: req.dictionary.all().length });
+    } catch (error) {
+      console.error('📚 Error deleting word:', error);
+      res.status(500).json({ error: 'Failed to delete word' });
+    }
+  });
+
+  router.delete('/', auth.requirePermission('dictionary:clear'), (req, res) => {
+    try {
+      req.dictionary.clear();
+      res.json({ message: 'Dictionary cleared successfully' });
+    } catch (error) {
+      console.error('📚 Error clearing dictionary:', error);
+      res.status(500).json({ error: 'Failed to clear dictionary' });
+    }
+  });
+
+  return router;
+}
+
+// Domain glossaries - a room applies the ones it was created with, in the order given
+app.get('/api/glossaries', auth.requirePermission('dictionary:read'), (req, res) => {
+  res.json(glossaries.list());
 });
 
-app.delete('/api/dictionary', (req, res) => {
-  try {
-    excludedWords = [];
-    saveExcludedWords();
-    res.json({ message: 'Dictionary cleared successfully' });
-  } catch (error) {
-    console.error('📚 Error clearing dictionary:', error);
-    res.status(500).json({ error: 'Failed to clear dictionary' });
+app.put('/api/glossaries/:name', auth.requirePermission('dictionary:clear'), (req, res) => {
+  if (!isValidGlossaryName(req.params.name)) {
+    return res.status(400).json({ error: 'Glossary names may only contain lowercase letters, digits and dashes' });
+  }
+  const { created } = glossaries.create(req.params.name);
+  res.status(created ? 201 : 200).json({
+    message: created ? 'Glossary created successfully' : 'Glossary already exists',
+    name: req.params.name
+  });
+});
+
+app.delete('/api/glossaries/:name', auth.requirePermission('dictionary:clear'), (req, res) => {
+  if (!glossaries.remove(req.params.name)) {
+    return res.status(404).json({ error: 'Glossary not found' });
   }
+  res.json({ message: 'Glossary deleted successfully' });
 });
 
+app.use('/api/dictionary', createDictionaryRoutes(() => dictionary));
+app.use('/api/glossaries/:name', createDictionaryRoutes(req => glossaries.get(req.params.name)));
+
 // Feedback API
-app.post('/api/feedback', async (req, res) => {
+app.post('/api/feedback', auth.requirePermission('feedback:submit'), async (req, res) => {
   try {
     const feedback = req.body;
-    const dirPath = path.join(__dirname, 'feedback_response');
+    const dirPath = process.env.FEEDBACK_DIR || path.join(__dirname, 'feedback_response');
     fs.mkdirSync(dirPath, { recursive: true });
     
     const timestamp = Date.now();
@@ -607,13 +1552,16 @@ app.post('/api/feedback', async (req, res) => {
     
     worksheet.addRow({
       timestamp: new Date(timestamp).toLocaleString(),
-      employee: feedback.employee || feedback.email || feedback.userEmail || '',
+      employee: req.user.email,
       type: feedback.type || '',
       rating: feedback.rating || '',
       comments: feedback.comments || feedback.feedback || ''
     });
     
     await workbook.xlsx.writeFile(excelPath);
+
+    // The rating goes on the call's ticket if it has not been sent yet
+    if (ticketWebhook && feedback.roomId) ticketWebhook.attachFeedback(String(feedback.roomId), req.user.email, feedback);
     res.status(200).json({ message: 'Feedback saved successfully' });
   } catch (err) {
     console.error('📝 Error saving feedback:', err);
@@ -626,37 +1574,86 @@ app.post('/api/feedback', async (req, res) => {
 // ================================
 
 io.on('connection', (socket) => {
-  console.log('👤 User connected:', socket.id);
+  console.log(`👤 User connected: ${socket.id} (${socketEmail(socket) || 'not signed in'}, ${socket.data.role})`);
+  if (socket.data.role === 'agent') {
+    const email = socketEmail(socket);
+    socket.join(`agent:${email}`);
+    const state = presence.connect(email, socket.id);
+    routingQueue.setAgent(socket.id, { email, name: socket.data.name, ...presenceFlags(state.state) });
+    socket.emit('agent-state', state);
+    routeQueue();
+  }
   
   // Send current agent count to new connections
   setTimeout(() => {
-    let availableCount = 0;
-    for (const email in agentAvailability) {
-      if (agentAvailability[email]) availableCount++;
-    }
-    socket.emit('agents-online', availableCount);
+    socket.emit('agents-online', presence.count('available'));
   }, 500);
 
-  // Handle agent availability changes
-  socket.on('agent-availability-changed', (data) => {
-    if (data && data.email) {
-      agentAvailability[data.email] = !!data.available;
-      emitAgentsOnline();
+  // Agents choose between available and break; "available" also ends wrap-up early.
+  // In-call and wrap-up are set by the server.
+  socket.on('set-agent-state', (data) => {
+    if (socket.data.role !== 'agent') {
+      auditLog.record({ action: 'access-denied', outcome: 'forbidden', event: 'set-agent-state', user: socket.data.email, role: socket.data.role });
+      return;
+    }
+    if (!presence.setPreference(socketEmail(socket), data?.state, { endWrapUp: true })) {
+      socket.emit('agent-state', presence.get(socketEmail(socket)));
+    }
+  });
+
+  // Manual pick from the queue list - only entries the agent is eligible for
+  socket.on('queue-pick', (requestId) => {
+    const request = routingQueue.get(requestId);
+    if (!request) {
+      socket.emit('queue-error', { requestId, error: 'This request is no longer waiting' });
+      return;
+    }
+    if (!routingQueue.pick(requestId, socket.id)) {
+      if (!routingQueue.visibleTo(socket.id).some(entry => entry.requestId === requestId)) {
+        auditLog.record({ action: 'access-denied', outcome: 'forbidden', event: 'queue-pick', requestId, user: socket.data.email, role: socket.data.role });
+      }
+      socket.emit('queue-error', { requestId, error: 'This request cannot be picked' });
+      return;
     }
+    offerRequest(request, routingQueue.agents().find(agent => agent.socketId === socket.id));
+    emitQueue();
+  });
+
+  // Agents on a call can hand it on: warm keeps them on until the next agent joins, cold
+  // leaves straight away. Either way the room and its transcript carry on.
+  socket.on('get-transfer-targets', () => {
+    if (socket.data.role === 'agent') socket.emit('transfer-targets', transferTargets(socket));
+  });
+
+  socket.on('transfer-call', (data = {}) => {
+    if (socket.data.role !== 'agent') {
+      auditLog.record({ action: 'access-denied', outcome: 'forbidden', event: 'transfer-call', roomId: data.roomId, user: socket.data.email, role: socket.data.role });
+      return;
+    }
+    if (!rooms.get(data.roomId)?.participants?.includes(socket.id)) {
+      socket.emit('transfer-error', { roomId: data.roomId, error: 'You are not on this call' });
+      return;
+    }
+    const error = transferCall(socket, data.roomId, data);
+    if (error) {
+      socket.emit('transfer-error', { roomId: data.roomId, error });
+      return;
+    }
+    routeQueue();
+    emitLiveCalls();
+  });
+
+  socket.on('get-agent-state', () => {
+    if (socket.data.role === 'agent') socket.emit('agent-state', presence.get(socketEmail(socket)));
   });
 
   // Handle explicit agent count requests
   socket.on('get-agents-online', () => {
-    let availableCount = 0;
-    for (const email in agentAvailability) {
-      if (agentAvailability[email]) availableCount++;
-    }
-    console.log(`[get-agents-online] Emitting agents-online:`, availableCount);
-    socket.emit('agents-online', availableCount);
+    socket.emit('agents-online', presence.count('available'));
   });
 
   // Handle room creation
-  socket.on('createRoom', (roomId, lang) => {
+  socket.on('createRoom', (roomId, lang, opts = {}) => {
     if (!roomId || typeof roomId !== 'string') {
       socket.emit('createRoomResult', { success: false, error: 'Invalid roomId' });
       return;
@@ -666,10 +1663,26 @@ io.on('connection', (socket) => {
       return;
     }
     
-    rooms.set(roomId, { participants: [], isPublic: true, lang });
+    rooms.set(roomId, {
+      participants: [],
+      isPublic: true,
+      lang,
+      languages: {},
+      glossaries: normalizeGlossaryNames(opts?.glossaries),
+      // Rooms employees open are help requests; they join the queue once the employee is in
+      helpRequest: socket.data.role === 'employee' ? { language: lang, category: opts?.category || null } : null,
+      // Who may join a help request: its creator and the agents the queue hands it to
+      admitted: [socketEmail(socket)].filter(Boolean)
+    });
     socket.emit('createRoomResult', { success: true, roomId });
   });
 
+  // Kept by the client (per tab) to take its seat back after a reload or a dropped connection
+  function issueResumeToken(roomId) {
+    const token = roomSeats.issue(roomId, { socketId: socket.id, email: socketEmail(socket), role: socket.data.role, name: socket.data.name });
+    socket.emit('resume-token', { roomId, token });
+  }
+
   // Handle room joining
   socket.on('join', (roomId, opts = {}) => {
     if (!roomId || typeof roomId !== 'string') {
@@ -681,10 +1694,15 @@ io.on('connection', (socket) => {
       if (opts.isCreator) {
         rooms.set(roomId, { 
           participants: [socket.id], 
-          isPublic: opts.isPublic !== false 
+          isPublic: opts.isPublic !== false,
+          languages: {},
+          glossaries: normalizeGlossaryNames(opts.glossaries),
+          admitted: [socketEmail(socket)].filter(Boolean)
         });
         socket.join(roomId);
+        transcripts.setParticipant(roomId, socket.id, { role: socket.data.role, email: socketEmail(socket) });
         socket.emit('created', roomId);
+        issueResumeToken(roomId);
       } else {
         socket.emit('no-room', roomId);
       }
@@ -692,90 +1710,229 @@ io.on('connection', (socket) => {
     }
     
     const room = rooms.get(roomId);
+    if (room.participants.includes(socket.id)) return;
     if ((room.participants || []).length >= config.maxRoomParticipants) {
       socket.emit('full', roomId);
       return;
     }
+    // A queued room is only for the agent it was assigned to
+    const request = room.requestId && routingQueue.get(room.requestId);
+    if (request && request.socketId !== socket.id && request.assignedTo !== socket.id) {
+      socket.emit('queue-error', { requestId: request.id, error: 'This call is waiting for another agent' });
+      return;
+    }
+    // Supervisors watch a help request through the monitor instead
+    const assigned = request && request.assignedTo === socket.id;
+    if (room.helpRequest && !assigned && !room.admitted.includes(socketEmail(socket))) {
+      socket.emit('queue-error', { error: 'This call is private to its participants' });
+      return;
+    }
+    if (assigned && socketEmail(socket)) room.admitted.push(socketEmail(socket));
     
     socket.join(roomId);
     room.participants.push(socket.id);
+    transcripts.setParticipant(roomId, socket.id, { role: socket.data.role, email: socketEmail(socket), leftAt: null });
     rooms.set(roomId, room);
     
+    // The newcomer gets everyone already here; each of them offers the newcomer a connection
+    const people = roomParticipants(room);
     if (room.participants.length === 1) {
       socket.emit('created', roomId);
-    } else if (room.participants.length === 2) {
-      socket.emit('joined', roomId);
-      io.to(room.participants[0]).emit('user-joined');
+    } else {
+      socket.emit('joined', roomId, people.filter(p => p.id !== socket.id));
+      emitToParticipants(room, 'user-joined', people.find(p => p.id === socket.id), socket.id);
     }
+    emitParticipants(roomId);
+    issueResumeToken(roomId);
     
-    emitActiveMeetings();
+    if (room.helpRequest && !room.requestId && socket.data.role === 'employee') {
+      const queued = routingQueue.enqueue({ roomId, socketId: socket.id, email: socketEmail(socket), ...room.helpRequest });
+      room.requestId = queued.id;
+      console.log(`🎧 Request ${queued.id} queued for room ${roomId} (${queued.language}, ${queued.category || 'any category'})`);
+    } else if (request && request.assignedTo === socket.id) {
+      routingQueue.remove(request.id);
+      io.to(request.socketId).emit('queue-status', { ...routingQueue.toJSON(request), status: 'connected' });
+      if (request.transfer) completeTransfer(socket, roomId, request);
+    }
+    if (socket.data.role === 'agent') presence.startCall(socketEmail(socket));
+    routeQueue();
+    emitLiveCalls();
   });
 
-  // WebRTC signaling
-  socket.on('offer', (offer, roomId) => forwardToOther(roomId, socket.id, 'offer', offer));
-  socket.on('answer', (answer, roomId) => forwardToOther(roomId, socket.id, 'answer', answer));
-  socket.on('ice-candidate', (candidate, roomId) => forwardToOther(roomId, socket.id, 'ice-candidate', candidate));
+  // WebRTC signaling, addressed to one peer with `to`
+  socket.on('offer', (offer, roomId, to) => relaySignal(socket, roomId, to, 'offer', offer));
+  socket.on('answer', (answer, roomId, to) => relaySignal(socket, roomId, to, 'answer', answer));
+  socket.on('ice-candidate', (candidate, roomId, to) => relaySignal(socket, roomId, to, 'ice-candidate', candidate));
 
-  // Handle transcripts
+  // Handle transcripts - translations are produced server-side and never accepted from clients
   socket.on('transcript', (msg) => {
-    if (!msg?.roomId) return;
+    if (!msg?.roomId || typeof msg.transcript !== 'string') return;
     
-    if (!transcripts.has(msg.roomId)) {
-      transcripts.set(msg.roomId, []);
-    }
+    const room = rooms.get(msg.roomId);
+    const barging = room?.observers?.[socket.id]?.mode === 'barge';
+    if (!room?.participants?.includes(socket.id) && !barging) return;
     
-    transcripts.get(msg.roomId).push({ 
-      ...msg, 
-      timestamp: msg.timestamp || Date.now() 
+    const entry = {
+      roomId: msg.roomId,
+      sender: socket.id,
+      transcript: msg.transcript,
+      language: msg.language || room.languages?.[socket.id],
+      // Stamped here: client clocks drift and the stored transcript must match what peers saw
+      timestamp: Date.now()
+    };
+    const utterance = transcripts.addUtterance(msg.roomId, {
+      speaker: socket.id,
+      original: entry.transcript,
+      language: entry.language,
+      timestamp: entry.timestamp
     });
     
-    if (!msg.type || msg.type !== 'translation') {
-      const room = rooms.get(msg.roomId);
-      const other = room?.participants?.find(id => id !== socket.id);
-      if (other) io.to(other).emit('transcript', msg);
+    emitToParticipants(room, 'transcript', entry, socket.id);
+    io.to(monitorRoom(msg.roomId)).emit('monitor-transcript', entry);
+    relayTranslation(msg.roomId, entry, utterance).catch(console.error);
+  });
+
+  // Track each participant's language so the server knows what to translate into
+  socket.on('language-selected', (data) => {
+    const room = rooms.get(data?.roomId);
+    if (!room?.participants?.includes(socket.id) || typeof data.language !== 'string') return;
+    
+    room.languages = room.languages || {};
+    room.languages[socket.id] = data.language;
+    transcripts.setParticipant(data.roomId, socket.id, { language: data.language });
+    emitToParticipants(room, 'language-selected', { ...data, sender: socket.id }, socket.id);
+    emitParticipants(data.roomId);
+    emitLiveCalls();
+  });
+
+  // ---- Supervisor console: listen in, whisper to the agent, barge in
+
+  function canMonitor(event, roomId) {
+    if (can(socket.data.role, 'calls:monitor')) return true;
+    auditLog.record({ action: 'access-denied', outcome: 'forbidden', event, roomId, user: socket.data.email, role: socket.data.role });
+    return false;
+  }
+
+  socket.on('monitor-subscribe', () => {
+    if (!canMonitor('monitor-subscribe')) return;
+    socket.join('monitors');
+    socket.emit('live-calls', liveCalls());
+  });
+
+  // Listen-only: the supervisor gets the transcript so far and then every utterance and translation.
+  // Audio comes from one receive-only WebRTC connection per participant ('monitor-signal').
+  socket.on('monitor-join', (roomId) => {
+    if (!canMonitor('monitor-join', roomId)) return;
+    const room = rooms.get(roomId);
+    if (!room?.participants?.length) {
+      socket.emit('monitor-error', { roomId, error: 'This call has ended' });
+      return;
+    }
+    
+    room.observers = room.observers || {};
+    if (!room.observers[socket.id]) {
+      room.observers[socket.id] = { id: socket.id, email: socketEmail(socket), name: socket.data.name, mode: 'listen', joinedAt: new Date().toISOString() };
+      transcripts.setParticipant(roomId, socket.id, { role: socket.data.role, email: socketEmail(socket), leftAt: null });
+      auditLog.record({ action: 'call-monitor', outcome: 'allowed', mode: 'listen', roomId, user: socket.data.email, role: socket.data.role });
+      console.log(`👂 ${socketEmail(socket)} is listening to room ${roomId}`);
     }
+    socket.join(monitorRoom(roomId));
+    socket.emit('monitor-joined', { call: liveCall(roomId), utterances: transcripts.get(roomId)?.utterances || [] });
+    emitLiveCalls();
   });
 
-  // Handle local translations
-  socket.on('local-translation', (data) => {
-    if (data.to) {
-      io.to(data.to).emit('local-translation', { 
-        ...data, 
-        timestamp: data.timestamp || Date.now() 
-      });
+  // Private text for the agent only - never shown to the employee or kept in the transcript
+  socket.on('monitor-whisper', (data) => {
+    const room = rooms.get(data?.roomId);
+    const observer = room?.observers?.[socket.id];
+    const text = typeof data?.text === 'string' ? data.text.trim().slice(0, 1000) : '';
+    if (!observer || !text) return;
+    
+    const agents = room.participants.filter(id => io.sockets.sockets.get(id)?.data.role === 'agent');
+    if (agents.length === 0) {
+      socket.emit('monitor-error', { roomId: data.roomId, error: 'There is no agent in this call' });
+      return;
+    }
+    const whisper = { roomId: data.roomId, from: observer.name || observer.email, text, timestamp: Date.now() };
+    agents.forEach(id => io.to(id).emit('whisper', whisper));
+    io.to(monitorRoom(data.roomId)).emit('monitor-whisper', whisper);
+  });
+
+  // Barge-in: the supervisor is announced to both sides, and their speech is transcribed and
+  // translated like a participant's
+  socket.on('monitor-barge', (data) => {
+    if (!canMonitor('monitor-barge', data?.roomId)) return;
+    const room = rooms.get(data?.roomId);
+    const observer = room?.observers?.[socket.id];
+    if (!observer) {
+      socket.emit('monitor-error', { roomId: data?.roomId, error: 'Listen to the call before barging in' });
+      return;
+    }
+    
+    const agentId = room.participants.find(id => io.sockets.sockets.get(id)?.data.role === 'agent');
+    const language = typeof data.language === 'string' ? data.language : room.languages?.[agentId] || 'en-US';
+    observer.mode = 'barge';
+    room.languages = room.languages || {};
+    room.languages[socket.id] = language;
+    transcripts.setParticipant(data.roomId, socket.id, { language });
+    emitToParticipants(room, 'supervisor-joined', { roomId: data.roomId, id: socket.id, name: observer.name || observer.email });
+    auditLog.record({ action: 'call-monitor', outcome: 'allowed', mode: 'barge', roomId: data.roomId, user: socket.data.email, role: socket.data.role });
+    console.log(`📢 ${observer.email} barged into room ${data.roomId}`);
+    socket.emit('monitor-barged', { roomId: data.roomId, language });
+    emitLiveCalls();
+  });
+
+  socket.on('monitor-leave', (roomId) => stopMonitoring(socket, roomId));
+
+  // WebRTC signaling between an observer and one participant, in either direction
+  socket.on('monitor-signal', (data) => {
+    const room = rooms.get(data?.roomId);
+    if (!room?.observers || !data.to) return;
+    const fromObserver = room.observers[socket.id] && room.participants.includes(data.to);
+    const toObserver = room.participants.includes(socket.id) && room.observers[data.to];
+    if (!fromObserver && !toObserver) return;
+    io.to(data.to).emit('monitor-signal', { roomId: data.roomId, from: socket.id, description: data.description, candidate: data.candidate });
+  });
+
+  // Back within the grace period - only the user the seat was issued to can take it
+  socket.on('resume', (token) => {
+    const seat = roomSeats.take(token, socketEmail(socket));
+    if (!seat || !rooms.get(seat.roomId)?.participants?.includes(seat.socketId)) {
+      socket.emit('resume-failed', { error: 'The call has ended or your seat was given up' });
+      return;
     }
+    resumeSeat(socket, seat);
+    routeQueue();
+    emitLiveCalls();
   });
 
   // Handle leaving rooms
   socket.on('leave', (roomId) => {
     handleLeave(socket, roomId);
-    const room = rooms.get(roomId);
-    if (!room?.participants?.length) {
-      rooms.delete(roomId);
-      transcripts.delete(roomId);
-    }
-    emitActiveMeetings();
+    routeQueue();
   });
 
-  // Handle active meetings requests
+  // Queue entries this agent may take; other roles see none
   socket.on('get-active-meetings', () => {
-    const meetings = Array.from(rooms.entries())
-      .filter(([_, room]) => room.isPublic && room.participants && room.participants.length > 0)
-      .map(([roomId, room]) => ({ roomId, participants: room.participants.length }));
-    socket.emit('active-meetings', meetings);
+    socket.emit('active-meetings', routingQueue.visibleTo(socket.id));
   });
 
   // Handle disconnection
   socket.on('disconnecting', () => {
     socket.rooms.forEach((roomId) => {
-      if (roomId !== socket.id) {
+      if (roomId.startsWith('monitor:')) {
+        stopMonitoring(socket, roomId.slice('monitor:'.length));
+      } else if (roomId !== socket.id && !holdSeat(socket, roomId)) {
         handleLeave(socket, roomId);
       }
     });
   });
 
   socket.on('disconnect', () => {
-    emitActiveMeetings();
+    routingQueue.removeAgent(socket.id).forEach(request =>
+      console.log(`🎧 Agent left before joining room ${request.roomId}, request ${request.id} is waiting again`));
+    if (socket.data.role === 'agent') presence.disconnect(socketEmail(socket), socket.id);
+    routeQueue();
     emitAgentsOnline();
     console.log('👤 User disconnected:', socket.id);
   });
@@ -789,13 +1946,19 @@ async function gracefulShutdown(signal) {
   console.log(`🔄 Received ${signal}, shutting down gracefully...`);
   
   // Save all pending transcripts
-  const savePromises = Array.from(rooms.keys()).map(roomId => 
+  const savePromises = transcripts.entries().map(([roomId]) => 
     saveTranscript(roomId).catch(error => 
       console.error(`📄 Error saving transcript for room ${roomId}:`, error)
     )
   );
   
   await Promise.allSettled(savePromises);
+  if (ticketWebhook) {
+    const flushed = await ticketWebhook.flush();
+    if (flushed) console.log(`🎫 Sent ${flushed} queued tickets`);
+  }
+  translationCache.save();
+  presence.stop();
   
   // Close server
   server.close(() => {
@@ -816,8 +1979,15 @@ async function gracefulShutdown(signal) {
 
 async function initialize() {
   try {
-    // Load dictionary
-    loadExcludedWords();
+    // Load accounts, dictionary and domain glossaries
+    auth.load();
+    if (!config.auth.secret) {
+      console.log('⚠️  AUTH_SECRET is not set - sessions will not survive a restart');
+    }
+    dictionary.load();
+    glossaries.load();
+    translationCache.load();
+    transcriptIndex.build();
     
     // Create directories for organized storage
     fs.mkdirSync(TRANSLATION_LOGS_DIR, { recursive: true });
@@ -826,24 +1996,36 @@ async function initialize() {
     console.log(`   - Translation logs: ${TRANSLATION_LOGS_DIR}`);
     console.log(`   - Transcripts: ${TRANSCRIPTS_DIR}`);
     
-    // Check Python service health
-    console.log(`🐍 Checking Python translation service at ${config.pythonServiceUrl}...`);
-    const pythonHealthy = await checkPythonServiceHealth();
+    // Check translation provider health
+    console.log(`🔀 Checking translation providers: ${[...enabledProviders].join(', ')}...`);
+    const providerHealth = await translationRouter.checkAll();
     
-    if (pythonHealthy) {
+    if (providerHealth.python) {
       console.log('✅ Python translation service is healthy');
-    } else {
-      console.log('⚠️  Python translation service is not available. Translation will not work until the service is started.');
+    } else if (enabledProviders.has('python')) {
+      console.log('⚠️  Python translation service is not available. Requests will fail over to other providers.');
       console.log('   Start the Python service with: cd nllb_translation_service && python main.py');
     }
+    if (enabledProviders.has('local') && !providerHealth.local) {
+      console.log(`⚠️  No local translation models found in ${config.local.modelPath}`);
+    }
+    if (config.local.preload && enabledProviders.has('local')) {
+      console.log(`🧠 Preloading local translation models from ${config.local.modelPath}...`);
+      await localProvider.preload();
+    }
+    const healthyProviders = Object.keys(providerHealth).filter(name => providerHealth[name]);
+    console.log(`🔀 Healthy translation providers: ${healthyProviders.join(', ') || 'none'}`);
     
     // Start cleanup interval
     setInterval(performCleanup, config.cleanupInterval);
     
-    // Periodic health checks for Python service
+    // Queue fallbacks and lapsed assignments
+    setInterval(routeQueue, config.routing.intervalMs);
+    
+    // Periodic health checks for all translation providers
     setInterval(async () => {
-      await checkPythonServiceHealth();
-    }, 30000); // Check every 30 seconds
+      await translationRouter.checkAll();
+    }, config.healthCheckInterval);
     
     // Setup graceful shutdown
     process.on('SIGTERM', gracefulShutdown);
@@ -863,5 +2045,9 @@ async function initialize() {
   }
 }
 
-// Start the server
-initialize();
+// Start the server, unless loaded by a script (e.g. the benchmark runner) for its translation pipeline
+if (require.main === module) {
+  initialize();
+}
+
+module.exports = { translateText, translationRouter, dictionary, glossaries, languageRegistry, normalizeGlossaryNames, ticketWebhook };
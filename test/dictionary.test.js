@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDictionary } = require('../lib/dictionary');
+
+test('entries without IDs get the same derived ID on every load and the file is left alone', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'linguera-dictionary-'));
+  const filePath = path.join(dir, 'excludedWords.json');
+  const original = JSON.stringify([{ en: 'ticket', hi: 'ticket' }, { en: 'Ticket', hi: 'टिकट' }], null, 2);
+  fs.writeFileSync(filePath, original);
+  try {
+    const first = createDictionary({ filePath });
+    first.load();
+    const second = createDictionary({ filePath });
+    second.load();
+
+    const ids = first.all().map(entry => entry.id);
+    assert.strictEqual(new Set(ids).size, 2);
+    assert.deepStrictEqual(second.all().map(entry => entry.id), ids);
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), original);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,169 @@
+// Test helpers - boots server.js in a child process against a temporary data directory and a
+// stand-in for the Python translation service, which answers "[en>fr] <text>"
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+const ROOT = path.join(__dirname, '..');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+function startFakeTranslator() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+      if (req.url.endsWith('/health')) return res.end(JSON.stringify({ model_loaded: true }));
+      const { text, source_lang: source, target_lang: target } = JSON.parse(body || '{}');
+      res.end(JSON.stringify({ translated_text: `[${source}>${target}] ${text}`, sentence_count: 1 }));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Resolves with the first `event` the socket receives that passes `filter`
+function nextEvent(socket, event, filter = () => true, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`Timed out waiting for "${event}"`));
+    }, timeoutMs);
+    function handler(...args) {
+      if (!filter(...args)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(args.length > 1 ? args : args[0]);
+    }
+    socket.on(event, handler);
+  });
+}
+
+// `env` overrides the server's environment, e.g. { AGENT_WRAP_UP_SECONDS: '0' }
+async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'linguera-test-'));
+  const translator = await startFakeTranslator();
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+  const output = [];
+
+  const child = spawn(process.execPath, [path.join(ROOT, 'server.js')], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      PYTHON_SERVICE_URL: `http://127.0.0.1:${translator.address().port}`,
+      TRANSLATION_PROVIDERS: 'python',
+      AUTH_USERS_FILE: path.join(dir, 'users.json'),
+      AUTH_USER_ROLES: JSON.stringify({ 'boss@agent.com': 'supervisor', 'root@agent.com': 'admin' }),
+      AUDIT_LOG_FILE: path.join(dir, 'audit-log.jsonl'),
+      AGENT_PRESENCE_LOG: path.join(dir, 'agent-presence.jsonl'),
+      AGENT_SKILLS_FILE: path.join(dir, 'agent-skills.json'),
+      ITSM_DEAD_LETTER_FILE: path.join(dir, 'itsm-dead-letters.jsonl'),
+      GLOSSARIES_DIR: path.join(dir, 'glossaries'),
+      TRANSLATION_LOGS_DIR: path.join(dir, 'translation-logs'),
+      TRANSLATION_LOG_FILE: path.join(dir, 'translation_logs.json'),
+      TRANSCRIPTS_DIR: path.join(dir, 'transcripts'),
+      FEEDBACK_DIR: path.join(dir, 'feedback_response'),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', chunk => output.push(chunk.toString()));
+  child.stderr.on('data', chunk => output.push(chunk.toString()));
+  let exited = false;
+  child.on('exit', () => { exited = true; });
+
+  const sockets = [];
+
+  async function stop() {
+    sockets.forEach(socket => socket.close());
+    if (!exited) {
+      child.kill();
+      await new Promise(resolve => child.once('exit', resolve));
+    }
+    await new Promise(resolve => translator.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      if ((await fetch(`${url}/health`)).ok) break;
+    } catch (error) {
+      // not listening yet
+    }
+    if (exited || attempt > 100) {
+      await stop();
+      throw new Error(`Server did not start:\n${output.join('')}`);
+    }
+    await wait(100);
+  }
+
+  // Signs in, registering the account first if needed; returns the session token
+  async function login(email, password = 'Passw0rd!x') {
+    const post = (route) => fetch(`${url}/api/auth/${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password })
+    });
+    let response = await post('login');
+    if (response.status === 401) response = await post('register');
+    const body = await response.json();
+    if (!body.token) throw new Error(`Could not sign in ${email}: ${JSON.stringify(body)}`);
+    return body.token;
+  }
+
+  async function connect(email) {
+    const socket = io(url, { auth: { token: await login(email) }, transports: ['websocket'] });
+    sockets.push(socket);
+    await nextEvent(socket, 'connect');
+    return socket;
+  }
+
+  function request(route, { token, method = 'GET', body } = {}) {
+    return fetch(`${url}${route}`, {
+      method,
+      headers: {
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+  }
+
+  // Between tests, so agents from one test are not routed the next one's calls
+  async function disconnectAll() {
+    sockets.splice(0).forEach(socket => socket.close());
+    await wait(200);
+  }
+
+  return {
+    url,
+    dir,
+    login,
+    connect,
+    disconnectAll,
+    request,
+    stop,
+    isRunning: () => !exited,
+    output: () => output.join('')
+  };
+}
+
+module.exports = { startServer, nextEvent, wait };
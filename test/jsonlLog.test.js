@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRotatingFile, pageNewestFirst } = require('../lib/jsonlLog');
+
+test('pages run newest first across rotated files', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'linguera-jsonl-'));
+  try {
+    const log = createRotatingFile({ filePath: path.join(dir, 'log.jsonl'), maxBytes: 60, maxFiles: 5 });
+    for (let n = 1; n <= 7; n++) log.append({ n, even: n % 2 === 0 });
+    assert.ok(log.files().length > 1, 'the log rotated');
+
+    const first = await pageNewestFirst(log.files(), () => true, { page: 1, pageSize: 3 });
+    assert.deepStrictEqual(first.items.map(e => e.n), [7, 6, 5]);
+    assert.strictEqual(first.total, 7);
+    assert.strictEqual(first.totalPages, 3);
+
+    const second = await pageNewestFirst(log.files(), () => true, { page: 2, pageSize: 3 });
+    assert.deepStrictEqual(second.items.map(e => e.n), [4, 3, 2]);
+
+    const even = await pageNewestFirst(log.files(), e => e.even, { page: 1, pageSize: 2 });
+    assert.deepStrictEqual(even.items.map(e => e.n), [6, 4]);
+    assert.strictEqual(even.total, 3);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the scan stops once maxMatches is reached past the requested page', async () => {
+  let read = 0;
+  async function* older() {
+    for (let n = 1; n <= 100; n++) {
+      read++;
+      yield { n };
+    }
+  }
+  const newer = [{ n: 101 }, { n: 102 }, { n: 103 }];
+
+  const result = await pageNewestFirst([older(), newer], () => true, { page: 1, pageSize: 2, maxMatches: 5 });
+  assert.deepStrictEqual(result.items.map(e => e.n), [103, 102]);
+  assert.strictEqual(read, 2);
+  assert.strictEqual(result.total, 5);
+  assert.ok(result.truncated);
+});
@@ -0,0 +1,15 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { scoreSentence, scoreCorpus } = require('../lib/translation/metrics');
+
+test('chrF averages precision and recall over the orders before taking one F-score', () => {
+  // Orders 1 and 2 count: precision 1 and 1, recall 2/3 and 1/2. sacrebleu gives
+  // F2(1, 7/12) = 63.64; a mean of the per-order F2 scores would give 63.49
+  assert.strictEqual(scoreSentence('ab', 'abc').chrf, 63.64);
+  assert.strictEqual(scoreCorpus([{ hypothesis: 'ab', reference: 'abc' }]).chrf, 63.64);
+});
+
+test('chrF is 100 for an exact match and 0 when nothing can match', () => {
+  assert.strictEqual(scoreSentence('the printer is offline', 'the printer is offline').chrf, 100);
+  assert.strictEqual(scoreSentence('', 'offline').chrf, 0);
+});
@@ -0,0 +1,117 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { startServer, nextEvent, wait } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer({ AGENT_WRAP_UP_SECONDS: '0', ROUTING_ACCEPT_SECONDS: '2' });
+});
+
+afterEach(() => server.disconnectAll());
+after(() => server.stop());
+
+test('an agent can warm-transfer a room they created by joining it', async () => {
+  const a1 = await server.connect('a1@agent.com');
+  const e1 = await server.connect('e1@employee.com');
+  const a2 = await server.connect('a2@agent.com');
+
+  a1.emit('join', 'r-created', { isCreator: true });
+  await nextEvent(a1, 'created');
+  e1.emit('join', 'r-created', { isCreator: false });
+  await nextEvent(e1, 'joined');
+  e1.emit('language-selected', { roomId: 'r-created', language: 'hi-IN' });
+  await wait(200);
+
+  const assigned = nextEvent(a2, 'queue-assigned');
+  a1.emit('transfer-call', { roomId: 'r-created', mode: 'warm', agent: 'a2@agent.com' });
+  const entry = await assigned;
+  assert.strictEqual(entry.roomId, 'r-created');
+  assert.strictEqual(entry.language, 'hi-IN');
+
+  const connected = nextEvent(a1, 'transfer-connected');
+  a2.emit('join', 'r-created', { isCreator: false });
+  await nextEvent(a2, 'joined');
+  await connected;
+  assert.ok(server.isRunning(), 'the server survived the transfer');
+});
+
+test('a transfer is refused while the employee has no language', async () => {
+  const agent = await server.connect('a7@agent.com');
+  const employee = await server.connect('e7@employee.com');
+  await server.connect('a8@agent.com');
+
+  agent.emit('join', 'r-nolang', { isCreator: true });
+  await nextEvent(agent, 'created');
+  employee.emit('join', 'r-nolang', { isCreator: false });
+  await nextEvent(employee, 'joined');
+
+  const refused = nextEvent(agent, 'transfer-error');
+  agent.emit('transfer-call', { roomId: 'r-nolang', mode: 'warm', agent: 'a8@agent.com' });
+  assert.match((await refused).error, /not chosen a language/);
+});
+
+test('only the creator and the assigned agent can join a help request', async () => {
+  const agent = await server.connect('a3@agent.com');
+  const employee = await server.connect('e3@employee.com');
+  const outsider = await server.connect('e4@employee.com');
+
+  employee.emit('createRoom', 'r-queue', 'en-US', {});
+  await nextEvent(employee, 'createRoomResult');
+  const assigned = nextEvent(agent, 'queue-assigned', entry => entry.roomId === 'r-queue');
+  employee.emit('join', 'r-queue', { isCreator: false });
+  await nextEvent(employee, 'created');
+
+  const refused = nextEvent(outsider, 'queue-error');
+  outsider.emit('join', 'r-queue', { isCreator: false });
+  assert.match((await refused).error, /waiting for another agent/);
+
+  await assigned;
+  agent.emit('join', 'r-queue', { isCreator: false });
+  await nextEvent(agent, 'joined');
+
+  const private_ = nextEvent(outsider, 'queue-error');
+  outsider.emit('join', 'r-queue', { isCreator: false });
+  assert.match((await private_).error, /private/);
+});
+
+test('leaving saves the transcript once and a stranger cannot close an empty room', async () => {
+  const employee = await server.connect('e5@employee.com');
+  const stranger = await server.connect('e6@employee.com');
+
+  employee.emit('createRoom', 'r-leave', 'en-US', {});
+  await nextEvent(employee, 'createRoomResult');
+  stranger.emit('leave', 'r-leave');
+  await wait(200);
+  employee.emit('join', 'r-leave', { isCreator: false });
+  await nextEvent(employee, 'created');
+
+  employee.emit('transcript', { roomId: 'r-leave', transcript: 'My laptop will not start', language: 'en-US' });
+  await wait(200);
+  employee.emit('leave', 'r-leave');
+  await wait(500);
+
+  assert.strictEqual(server.output().match(/Summarized call in room r-leave/g)?.length, 1);
+  const token = await server.login('a5@agent.com');
+  const found = await (await server.request('/api/transcripts?employee=e5@employee.com', { token })).json();
+  assert.strictEqual(found.total, 1);
+});
+
+test('translating needs a session, and a room only its participants', async () => {
+  const body = { text: 'printer jam', source: 'en', target: 'fr' };
+  assert.strictEqual((await server.request('/api/translate', { method: 'POST', body })).status, 401);
+
+  const agent = await server.connect('a9@agent.com');
+  agent.emit('join', 'r-translate', { isCreator: true });
+  await nextEvent(agent, 'created');
+
+  const outsider = await server.login('e9@employee.com');
+  const refused = await server.request('/api/translate', { method: 'POST', token: outsider, body: { ...body, roomId: 'r-translate' } });
+  assert.strictEqual(refused.status, 403);
+  const allowed = await server.request('/api/translate', { method: 'POST', token: outsider, body });
+  assert.strictEqual((await allowed.json()).translated, '[en>fr] printer jam');
+
+  const member = await server.login('a9@agent.com');
+  const inRoom = await server.request('/api/translate', { method: 'POST', token: member, body: { ...body, roomId: 'r-translate' } });
+  assert.strictEqual(inRoom.status, 200);
+});
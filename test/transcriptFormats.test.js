@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { renderTranscript } = require('../lib/transcriptFormats');
+
+function record(original, translated) {
+  return {
+    roomId: 'r-export',
+    startedAt: '2025-06-01T10:00:00.000Z',
+    participants: [{ role: 'employee', email: 'e@employee.com', language: 'en-US' }],
+    utterances: [{
+      role: 'employee',
+      email: 'e@employee.com',
+      language: 'en-US',
+      original,
+      timestamp: '2025-06-01T10:00:05.000Z',
+      translations: [{ language: 'fr-FR', text: translated, provider: 'python' }]
+    }]
+  };
+}
+
+test('WebVTT cue text escapes markup characters', async () => {
+  const vtt = (await renderTranscript(record('Is 2 < 3 & <b>bold</b>?', 'A & B'), 'vtt')).toString('utf8');
+  assert.match(vtt, /<v Employee>Is 2 &lt; 3 &amp; &lt;b&gt;bold&lt;\/b&gt;\?/);
+  assert.match(vtt, /<i>A &amp; B<\/i>/);
+});
+
+test('CSV cells that would run as formulas are quoted as text', async () => {
+  const csv = (await renderTranscript(record('=HYPERLINK("http://x","click")', '@SUM(A1)'), 'csv')).toString('utf8');
+  const row = csv.split('\r\n')[1];
+  assert.ok(row.includes(`"'=HYPERLINK(""http://x"",""click"")"`), row);
+  assert.ok(row.includes(`,'@SUM(A1),`), row);
+  assert.ok(row.startsWith('2025-06-01T10:00:05.000Z,employee,'), row);
+});
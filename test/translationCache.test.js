@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createTranslationCache, normalizeKeyText } = require('../lib/translation/cache');
+
+test('the cache key keeps case and combining marks', () => {
+  const cache = createTranslationCache({});
+  cache.set('Polish', 'en', 'fr', 'polonais');
+  assert.strictEqual(cache.get('polish', 'en', 'fr'), null);
+
+  // Diacritic stripping dropped the virama, turning "namaste" into "namasate"
+  cache.set('नमस्ते', 'hi', 'en', 'hello');
+  assert.strictEqual(cache.get('नमसते', 'hi', 'en'), null);
+  assert.strictEqual(cache.get('नमस्ते', 'hi', 'en'), 'hello');
+});
+
+test('the cache key folds canonical equivalents and whitespace', () => {
+  assert.strictEqual(normalizeKeyText('  café \n menu '), 'café menu');
+
+  // "e" plus a combining acute is the same text as the precomposed "é"
+  const cache = createTranslationCache({});
+  cache.set('Café  menu', 'fr', 'en', 'Cafe menu');
+  assert.strictEqual(cache.get(' Cafe\u0301 menu', 'fr', 'en'), 'Cafe menu');
+});